@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/* Reference sync server for VocabMaster progress (no dependencies).
+
+   Usage:
+     node voc/server/sync-server.js            # listens on http://localhost:8787
+     PORT=9000 DATA_DIR=/tmp/vm-sync node voc/server/sync-server.js
+
+   Then enter http://localhost:8787 as the Sync server URL in the app.
+
+   API (one JSON progress document per user, stored as DATA_DIR/<userId>.json):
+     GET /users/<userId>/progress  -> 200 document | 404 when nothing stored yet
+     PUT /users/<userId>/progress  -> merges the body into the stored document, 200 merged document
+                                      | 400 when the body is not a well-formed progress document
+   Merging uses the same rules as the client (src_beta/js/sync-merge.js). There is no
+   authentication: anyone who knows a User ID can read and write its progress, so only
+   run this on a trusted network.
+*/
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const ProgressMerge = require('../src_beta/js/sync-merge.js');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, 'sync-data'));
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const ROUTE = /^\/users\/([\w-]{1,64})\/progress\/?$/;
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function docPath(userId) {
+    return path.join(DATA_DIR, `${userId}.json`);
+}
+
+async function readDoc(userId) {
+    try {
+        return JSON.parse(await fs.promises.readFile(docPath(userId), 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+// Write to a temp file and rename so a crash never leaves a half-written document
+async function writeDoc(userId, doc) {
+    await fs.promises.mkdir(DATA_DIR, { recursive: true });
+    const tmp = `${docPath(userId)}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(doc));
+    await fs.promises.rename(tmp, docPath(userId));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Body too large'), { status: 413 }));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// Requests for one user are applied in order so concurrent PUTs cannot lose each other's merge
+const userQueues = new Map();
+function withUserLock(userId, task) {
+    const previous = userQueues.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    userQueues.set(userId, next);
+    next.finally(() => { if (userQueues.get(userId) === next) userQueues.delete(userId); }).catch(() => {});
+    return next;
+}
+
+async function handle(req, res) {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    const match = ROUTE.exec(new URL(req.url, 'http://localhost').pathname);
+    if (!match) return send(res, 404, { error: 'Not found' });
+    const userId = match[1];
+
+    if (req.method === 'GET') {
+        const doc = await readDoc(userId);
+        return doc ? send(res, 200, doc) : send(res, 404, { error: 'No progress stored for this user' });
+    }
+
+    if (req.method === 'PUT') {
+        let incoming;
+        try {
+            incoming = JSON.parse(await readBody(req));
+        } catch (e) {
+            return send(res, e.status || 400, { error: e.status ? e.message : 'Invalid JSON' });
+        }
+        const invalid = ProgressMerge.validateDoc(incoming);
+        if (invalid) return send(res, 400, { error: invalid });
+        const merged = await withUserLock(userId, async () => {
+            const doc = ProgressMerge.mergeDocs(await readDoc(userId), incoming);
+            doc.userId = userId;
+            doc.updatedAt = Date.now();
+            await writeDoc(userId, doc);
+            return doc;
+        });
+        return send(res, 200, merged);
+    }
+
+    return send(res, 405, { error: 'Method not allowed' });
+}
+
+const server = http.createServer((req, res) => {
+    handle(req, res).catch(e => {
+        console.error('sync-server error', e);
+        send(res, 500, { error: 'Internal error' });
+    });
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => console.log(`VocabMaster sync server on http://localhost:${PORT} (data in ${DATA_DIR})`));
+}
+
+module.exports = server;
@@ -5,6 +5,171 @@
    - Kept core classes and functionality intact
 */
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+// Learning cards due within this window are shown early rather than ending the session
+const LEARN_AHEAD_MS = 20 * MINUTE_MS;
+
+// Answer buttons shown after the card is revealed, mapped to SM-2 quality (0-5).
+// Quality below 3 counts as a failed recall.
+const SM2_GRADES = [
+    { label: 'Again', quality: 1 },
+    { label: 'Hard', quality: 3 },
+    { label: 'Good', quality: 4 },
+    { label: 'Easy', quality: 5 }
+];
+
+/**
+ * Scheduler interface. A scheduler turns an answer into the next review state of a
+ * LearningStats and ranks due words. Implementations must not mutate the stats they
+ * are given; LearningStats applies the returned fields itself.
+ */
+class Scheduler {
+    get name() { return 'base'; }
+
+    /** Return the fields to assign on `stats` after answering with `quality` (0-5); must include `interval` (days). */
+    preview(stats, quality, now) { throw new Error(`${this.name}: preview() not implemented`); }
+
+    /** Higher values are reviewed first among due words. */
+    priority(stats, now) { return now - stats.dueDate; }
+
+    /** Estimated probability (0-1) of recalling the word at `now`, or null when unknown. */
+    retrievability(stats, now) { return null; }
+
+    static register(name, SchedulerClass, label = name) {
+        Scheduler.registry.set(name, { SchedulerClass, label });
+    }
+
+    /** Shared instance for `name`; unknown names fall back to SM-2. */
+    static create(name) {
+        const entry = Scheduler.registry.get(name) || Scheduler.registry.get('sm2');
+        if (!entry.instance) entry.instance = new entry.SchedulerClass();
+        return entry.instance;
+    }
+
+    static list() {
+        return Array.from(Scheduler.registry, ([name, entry]) => ({ name, label: entry.label }));
+    }
+}
+Scheduler.registry = new Map();
+
+// Classic SuperMemo-2: ease factor per word, 1 and 6 day first intervals, then interval * ease
+class SM2Scheduler extends Scheduler {
+    get name() { return 'sm2'; }
+
+    preview(stats, quality) {
+        const q = Math.max(0, Math.min(5, Math.round(quality)));
+        let { interval, repetitions } = stats;
+        if (q >= 3) {
+            if (repetitions === 0) interval = 1;
+            else if (repetitions === 1) interval = 6;
+            else interval = Math.round(interval * stats.easeFactor);
+            repetitions++;
+        } else {
+            repetitions = 0;
+            interval = 1;
+        }
+        const easeFactor = Math.max(1.3, stats.easeFactor + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+        return { easeFactor, interval, repetitions };
+    }
+
+    priority(stats, now) {
+        const overdue = Math.max(0, now - stats.dueDate);
+        const easePenalty = (2.5 - stats.easeFactor) * 10;
+        const practiceBonus = stats.attempts * 5;
+        return overdue + easePenalty - practiceBonus;
+    }
+}
+
+/**
+ * FSRS v4.5 (Free Spaced Repetition Scheduler) with the published default weights.
+ * Tracks per-word stability (S) and difficulty (D) and schedules the next review for
+ * the moment retrievability R = (1 + F * t / S) ^ DECAY falls to `desiredRetention`.
+ */
+class FSRSScheduler extends Scheduler {
+    constructor(desiredRetention = 0.9, weights = FSRSScheduler.DEFAULT_WEIGHTS) {
+        super();
+        this.desiredRetention = desiredRetention;
+        this.w = weights;
+    }
+
+    get name() { return 'fsrs'; }
+
+    // SM-2 quality 0-5 -> FSRS rating 1 (Again) .. 4 (Easy)
+    toRating(quality) {
+        if (quality < 3) return 1;
+        if (quality === 3) return 2;
+        if (quality === 4) return 3;
+        return 4;
+    }
+
+    retrievability(stats, now) {
+        if (!stats.stability || stats.lastReviewed === null) return null;
+        const elapsedDays = Math.max(0, now - stats.lastReviewed) / DAY_MS;
+        return Math.pow(1 + FSRSScheduler.FACTOR * elapsedDays / stats.stability, FSRSScheduler.DECAY);
+    }
+
+    initialDifficulty(rating) {
+        return this.clampDifficulty(this.w[4] - (rating - 3) * this.w[5]);
+    }
+
+    clampDifficulty(d) { return Math.min(10, Math.max(1, d)); }
+
+    nextInterval(stability) {
+        const days = stability / FSRSScheduler.FACTOR * (Math.pow(this.desiredRetention, 1 / FSRSScheduler.DECAY) - 1);
+        return Math.min(36500, Math.max(1, Math.round(days)));
+    }
+
+    // Words reviewed only under SM-2 have no FSRS state yet: seed it from their SM-2 history
+    seedFromSm2(stats) {
+        return {
+            stability: Math.max(0.1, stats.interval),
+            difficulty: this.clampDifficulty(5 + (2.5 - stats.easeFactor) * 5)
+        };
+    }
+
+    preview(stats, quality, now) {
+        const w = this.w;
+        const rating = this.toRating(Math.round(quality));
+        let stability;
+        let difficulty;
+        if (stats.lastReviewed === null) {
+            stability = w[rating - 1];
+            difficulty = this.initialDifficulty(rating);
+        } else {
+            const prev = stats.stability ? { stability: stats.stability, difficulty: stats.difficulty } : this.seedFromSm2(stats);
+            const r = this.retrievability(Object.assign({}, stats, prev), now);
+            const d = prev.difficulty - w[6] * (rating - 3);
+            difficulty = this.clampDifficulty(w[7] * this.initialDifficulty(3) + (1 - w[7]) * d);
+            if (rating === 1) {
+                stability = Math.min(prev.stability, w[11] * Math.pow(difficulty, -w[12]) * (Math.pow(prev.stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - r)));
+            } else {
+                const hardPenalty = rating === 2 ? w[15] : 1;
+                const easyBonus = rating === 4 ? w[16] : 1;
+                stability = prev.stability * (1 + Math.exp(w[8]) * (11 - difficulty) * Math.pow(prev.stability, -w[9]) * (Math.exp(w[10] * (1 - r)) - 1) * hardPenalty * easyBonus);
+            }
+        }
+        return {
+            stability,
+            difficulty,
+            interval: this.nextInterval(stability),
+            repetitions: rating === 1 ? 0 : stats.repetitions + 1
+        };
+    }
+
+    // Least likely to be remembered first; unseen words after every review
+    priority(stats, now) {
+        const r = this.retrievability(stats, now);
+        return r === null ? 0 : 1 - r;
+    }
+}
+FSRSScheduler.DECAY = -0.5;
+FSRSScheduler.FACTOR = 19 / 81;
+FSRSScheduler.DEFAULT_WEIGHTS = [0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474, 0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755];
+
+Scheduler.register('sm2', SM2Scheduler, 'SM-2');
+Scheduler.register('fsrs', FSRSScheduler, 'FSRS');
+
 // Learning Statistics & Tracking
 class LearningStats {
     constructor() {
@@ -13,7 +178,15 @@ class LearningStats {
         this.lastReviewed = null;
         this.easeFactor = 2.5;
         this.interval = 1;
+        this.repetitions = 0; // consecutive successful reviews
+        this.stability = 0; // FSRS: days until recall probability drops to 90% (0 = not yet initialised)
+        this.difficulty = 0; // FSRS: 1 (easy) .. 10 (hard)
         this.dueDate = Date.now();
+        this.step = null; // position in the learning/relearning steps while the card is in them
+        this.lapses = 0; // times the card was forgotten after graduating
+        this.leech = false; // lapsed too often (see isLeechLapse)
+        this.suspended = false; // kept out of every session until unsuspended
+        this.modifiedAt = null; // when leech/suspended last changed, so sync can pick the newer copy
     }
 
     async resetProgressInteractive() {
@@ -32,28 +205,158 @@ class LearningStats {
         }
     }
 
-    calculateNextReview(correct) {
-        if (correct) {
-            this.interval = this.interval * this.easeFactor;
-        } else {
-            this.interval = 1;
-            this.easeFactor = Math.max(1.3, this.easeFactor - 0.2);
+    /**
+     * Schedule that would result from answering with SM-2 `quality` (0-5), without
+     * changing these stats. The returned object always carries `interval` in days.
+     */
+    previewNextReview(quality, scheduler = Scheduler.create('sm2'), steps = null) {
+        return this.nextState(quality, scheduler, steps, Date.now());
+    }
+
+    /**
+     * Apply an answer. Accepts an SM-2 quality (0-5) or a boolean (true = Good, false = Again).
+     * With `steps` ({ learning, relearning } in minutes) new and forgotten cards go through
+     * those steps first and only then get a day interval from the scheduler.
+     */
+    calculateNextReview(quality, scheduler = Scheduler.create('sm2'), steps = null) {
+        if (typeof quality === 'boolean') quality = quality ? 4 : 1;
+        const now = Date.now();
+        const { minutes, ...next } = this.nextState(quality, scheduler, steps, now);
+        this.attempts++;
+        if (quality >= 3) this.correct++;
+        this.lastReviewed = now;
+        Object.assign(this, next);
+        this.dueDate = now + (minutes !== undefined ? minutes * MINUTE_MS : this.interval * DAY_MS);
+    }
+
+    // Steps that apply to this card's next answer, or null once it has graduated
+    stepsFor(steps) {
+        if (!steps) return null;
+        if (this.lastReviewed === null) return steps.learning;
+        if (this.step === null) return null;
+        return this.lapses > 0 ? steps.relearning : steps.learning;
+    }
+
+    // Again restarts the steps, Hard repeats the current one, Good advances and Easy graduates
+    static nextStep(list, current, quality) {
+        if (quality >= 5) return null;
+        const next = quality < 3 ? 0 : quality === 3 ? current : current + 1;
+        return next < list.length ? next : null;
+    }
+
+    // Fields to assign after answering; `minutes` is set while the card stays in its steps
+    nextState(quality, scheduler, steps, now) {
+        const list = this.stepsFor(steps);
+        if (list) {
+            const step = LearningStats.nextStep(list, this.step || 0, quality);
+            if (step !== null) return { step, minutes: list[step] };
+            // graduating: a relearning card keeps the interval it got when it lapsed,
+            // a new card is scheduled as if this were its first review
+            if (this.lapses > 0) return { step: null, interval: this.interval };
+            return Object.assign(scheduler.preview(new LearningStats(), quality, now), { step: null });
+        }
+        const next = scheduler.preview(this, quality, now);
+        if (quality < 3 && this.lastReviewed !== null) {
+            next.lapses = this.lapses + 1;
+            if (steps && steps.relearning.length) Object.assign(next, { step: 0, minutes: steps.relearning[0] });
+        }
+        return next;
+    }
+
+    /** 'new' (never reviewed), 'learning' (interval under MATURE_INTERVAL_DAYS) or 'mature'. */
+    status() {
+        if (this.lastReviewed === null) return 'new';
+        return this.interval >= LearningStats.MATURE_INTERVAL_DAYS ? 'mature' : 'learning';
+    }
+
+    /**
+     * Study queue for daily limits: 'new' (never reviewed), 'learning' (in its learning or
+     * relearning steps) or 'review'.
+     */
+    queue() {
+        if (this.lastReviewed === null) return 'new';
+        return this.step !== null ? 'learning' : 'review';
+    }
+
+    /**
+     * Whether the lapse just recorded makes this card a leech: on reaching `threshold` lapses
+     * and every half threshold after that, so an unsuspended leech that keeps failing is caught
+     * again. A threshold of 0 turns leech detection off.
+     */
+    isLeechLapse(threshold) {
+        if (!threshold || this.lapses < threshold) return false;
+        return (this.lapses - threshold) % Math.max(1, Math.ceil(threshold / 2)) === 0;
+    }
+
+    /** Set the `leech` and/or `suspended` flags and stamp `modifiedAt`. */
+    setFlags(flags, now = Date.now()) {
+        if (flags.leech !== undefined) this.leech = !!flags.leech;
+        if (flags.suspended !== undefined) this.suspended = !!flags.suspended;
+        this.modifiedAt = now;
+    }
+
+    /** Plain snapshot of the scheduling state for storage. */
+    toJSON() {
+        return { attempts: this.attempts, correct: this.correct, lastReviewed: this.lastReviewed, easeFactor: this.easeFactor, interval: this.interval, repetitions: this.repetitions, stability: this.stability, difficulty: this.difficulty, dueDate: this.dueDate, step: this.step, lapses: this.lapses, leech: this.leech, suspended: this.suspended, modifiedAt: this.modifiedAt };
+    }
+
+    /** Rebuild stats from a stored snapshot; missing or malformed fields keep their defaults. */
+    static fromJSON(data) {
+        const stats = new LearningStats();
+        if (!data || typeof data !== 'object') return stats;
+        for (const key of Object.keys(stats.toJSON())) {
+            if (typeof stats[key] === 'boolean') {
+                if (typeof data[key] === 'boolean') stats[key] = data[key];
+            } else if (typeof data[key] === 'number' && isFinite(data[key])) stats[key] = data[key];
         }
-        this.dueDate = Date.now() + (this.interval * 24 * 60 * 60 * 1000);
+        return stats;
     }
 }
+LearningStats.MATURE_INTERVAL_DAYS = 21;
 
 class Word {
-    constructor(target, native, examples = [], tags = [], transliteration = '', image = '') {
+    constructor(target, native, examples = [], tags = [], transliteration = '', image = '', audio = '') {
         this.target = target;
         this.native = native;
         this.examples = examples;
         this.tags = tags;
         this.transliteration = transliteration;
         this.image = image; // optional URL to an image
-        this.stats = new LearningStats();
+        this.audio = audio; // optional URL to a recording of `target`; preferred over speech synthesis
+        this.stats = new LearningStats(); // target -> native recall
+        this.reverseStats = null; // native -> target recall, created on first use
+    }
+
+    /** Scheduling state for one card direction ('forward' = target -> native, 'reverse' = native -> target). */
+    statsFor(direction = 'forward') {
+        if (direction !== 'reverse') return this.stats;
+        if (!this.reverseStats) this.reverseStats = new LearningStats();
+        return this.reverseStats;
+    }
+
+    setStatsFor(direction, stats) {
+        if (direction === 'reverse') this.reverseStats = stats;
+        else this.stats = stats;
+    }
+
+    isLeech() {
+        return this.stats.leech || !!(this.reverseStats && this.reverseStats.leech);
+    }
+
+    // Storage key for a direction's stats: the word key itself for forward cards
+    static statsKey(wordKey, direction) {
+        return direction === 'reverse' ? `${wordKey}${Word.REVERSE_SUFFIX}` : wordKey;
     }
 }
+Word.DIRECTIONS = ['forward', 'reverse'];
+Word.REVERSE_SUFFIX = '~reverse';
+
+// Card directions a session can practise; 'both' schedules each direction separately
+const CARD_DIRECTIONS = [
+    { id: 'forward', label: 'Word → Meaning', directions: ['forward'] },
+    { id: 'reverse', label: 'Meaning → Word', directions: ['reverse'] },
+    { id: 'both', label: 'Both directions', directions: ['forward', 'reverse'] }
+];
 
 class VocabularySet {
     constructor(id, name, language, words = []) {
@@ -81,13 +384,83 @@ class UserProgress {
 }
 
 class LearningEngine {
-    constructor() { this.algorithm = 'sm2'; }
+    constructor(algorithm = 'sm2') {
+        this.setAlgorithm(algorithm);
+        this.setSteps(LearningEngine.DEFAULT_STEPS.learning, LearningEngine.DEFAULT_STEPS.relearning);
+    }
+
+    setAlgorithm(name) {
+        this.scheduler = Scheduler.create(name);
+        this.algorithm = this.scheduler.name;
+    }
+
+    /** Learning steps for new cards and relearning steps for forgotten ones, in minutes. */
+    setSteps(learning, relearning) {
+        const clean = list => (Array.isArray(list) ? list.filter(m => typeof m === 'number' && m > 0) : []);
+        this.steps = { learning: clean(learning), relearning: clean(relearning) };
+    }
+
+    /** Record an answer for one direction of `word` using the active scheduler. */
+    review(word, quality, direction = 'forward') { word.statsFor(direction).calculateNextReview(quality, this.scheduler, this.steps); }
+
+    preview(word, quality, direction = 'forward') { return word.statsFor(direction).previewNextReview(quality, this.scheduler, this.steps); }
+
+    /** Parse steps written like "1m 10m 1h"; a bare number is minutes. Returns null if malformed. */
+    static parseSteps(text) {
+        const units = { m: 1, h: 60, d: 1440 };
+        const steps = [];
+        for (const token of String(text || '').trim().split(/[\s,]+/).filter(Boolean)) {
+            const match = /^(\d+(?:\.\d+)?)([mhd]?)$/i.exec(token);
+            if (!match || !(parseFloat(match[1]) > 0)) return null;
+            steps.push(parseFloat(match[1]) * units[(match[2] || 'm').toLowerCase()]);
+        }
+        return steps;
+    }
+
+    static formatSteps(steps) {
+        return (steps || []).map(m => (m % 1440 === 0 ? `${m / 1440}d` : m % 60 === 0 ? `${m / 60}h` : `${m}m`)).join(' ');
+    }
 
     getNextWord(vocabSet) {
+        const card = this.getNextCard(vocabSet);
+        return card ? card.word : null;
+    }
+
+    /**
+     * Highest-priority due card ({ word, direction, vocabSet }) among the given directions, or null.
+     * `vocabSet` may be an array to pick across several dictionaries at once.
+     * `skip(word, direction, vocabSet)` can exclude cards, e.g. siblings of a word already answered.
+     */
+    getNextCard(vocabSet, directions = ['forward'], skip = null) {
+        const now = Date.now();
+        let best = null;
+        for (const set of [].concat(vocabSet)) {
+            for (const word of set.words) {
+                for (const direction of directions) {
+                    if (skip && skip(word, direction, set)) continue;
+                    const stats = word.statsFor(direction);
+                    if (stats.dueDate > now || stats.suspended) continue;
+                    const priority = this.scheduler.priority(stats, now);
+                    if (!best || priority > best.priority) best = { word, direction, vocabSet: set, priority };
+                }
+            }
+        }
+        return best ? { word: best.word, direction: best.direction, vocabSet: best.vocabSet } : null;
+    }
+
+    /** Number of due cards in one or several sets. */
+    countDue(vocabSet, directions = ['forward']) {
         const now = Date.now();
-        const dueWords = vocabSet.words.filter(word => word.stats.dueDate <= now);
-        if (dueWords.length === 0) return null;
-        return this.calculatePriority(dueWords);
+        let count = 0;
+        for (const set of [].concat(vocabSet)) {
+            for (const word of set.words) {
+                for (const direction of directions) {
+                    const stats = word.statsFor(direction);
+                    if (stats.dueDate <= now && !stats.suspended) count++;
+                }
+            }
+        }
+        return count;
     }
 
     calculatePriority(words) {
@@ -99,17 +472,50 @@ class LearningEngine {
     }
 
     calculateWordPriority(word) {
-        const now = Date.now();
-        const overdue = Math.max(0, now - word.stats.dueDate);
-        const easePenalty = (2.5 - word.stats.easeFactor) * 10;
-        const practiceBonus = word.stats.attempts * 5;
-        return overdue + easePenalty - practiceBonus;
+        return this.scheduler.priority(word.stats, Date.now());
     }
 }
+LearningEngine.DEFAULT_STEPS = { learning: [1, 10], relearning: [10] };
+
+// Bump when the shape of stored records changes and add a step to SimpleStorage.migrate()
+const STORAGE_SCHEMA_VERSION = 2;
 
 // Lightweight storage wrapper using localStorage
 class SimpleStorage {
-    constructor() { this.prefix = 'vocabmaster:'; }
+    constructor() { this.prefix = 'vocabmaster:'; this.schemaVersion = STORAGE_SCHEMA_VERSION; }
+
+    /**
+     * Upgrade records written by older builds to the current schema.
+     * v1 -> v2: per-vocab records (`progress_<user>:vocab:<key>`) gain `schemaVersion`
+     * and a `wordStats` map of word id -> LearningStats snapshot.
+     */
+    async migrate() {
+        try {
+            const versionKey = `${this.prefix}schemaVersion`;
+            const stored = parseInt(localStorage.getItem(versionKey), 10) || 1;
+            if (stored >= this.schemaVersion) return stored;
+            if (stored < 2) {
+                const keys = [];
+                for (let i = 0; i < localStorage.length; i++) {
+                    const key = localStorage.key(i);
+                    if (key && key.startsWith(`${this.prefix}progress_`) && key.includes(':vocab:')) keys.push(key);
+                }
+                for (const key of keys) {
+                    try {
+                        const data = JSON.parse(localStorage.getItem(key));
+                        if (!data || typeof data !== 'object') continue;
+                        localStorage.setItem(key, JSON.stringify({ schemaVersion: 2, learnedIds: data.learnedIds || [], wordStats: data.wordStats || {} }));
+                    } catch (e) { /* leave unreadable records alone */ }
+                }
+            }
+            localStorage.setItem(versionKey, String(this.schemaVersion));
+            return this.schemaVersion;
+        } catch (e) {
+            console.warn('SimpleStorage migrate failed', e);
+            return null;
+        }
+    }
+
     async saveProgress(key, data) {
         try { localStorage.setItem(`${this.prefix}progress_${key}`, JSON.stringify(data)); }
         catch (e) { console.warn('SimpleStorage saveProgress failed', e); }
@@ -118,79 +524,2382 @@ class SimpleStorage {
         try { const raw = localStorage.getItem(`${this.prefix}progress_${key}`); return raw ? JSON.parse(raw) : null; }
         catch (e) { console.warn('SimpleStorage loadProgress failed', e); return null; }
     }
+
+    // User-created dictionaries live outside the `progress_` namespace so resetting progress keeps them
+    async saveDeck(key, data) {
+        try { localStorage.setItem(`${this.prefix}deck_${key}`, JSON.stringify(data)); }
+        catch (e) { console.warn('SimpleStorage saveDeck failed', e); throw e; }
+    }
+    async loadDeck(key) {
+        try { const raw = localStorage.getItem(`${this.prefix}deck_${key}`); return raw ? JSON.parse(raw) : null; }
+        catch (e) { console.warn('SimpleStorage loadDeck failed', e); return null; }
+    }
+    async removeDeck(key) {
+        try { localStorage.removeItem(`${this.prefix}deck_${key}`); }
+        catch (e) { console.warn('SimpleStorage removeDeck failed', e); }
+    }
+
+    /** Remove every `progress_` record (all users); decks and identity keys are kept. */
+    async clearProgress() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(`${this.prefix}progress_`)) keys.push(key);
+        }
+        keys.forEach(key => localStorage.removeItem(key));
+    }
 }
 
-class LearningSession {
-    constructor(app, vocabSet) { this.app = app; this.vocabSet = vocabSet; this.currentWord = null; this.showingAnswer = false; }
-    start() { this.nextWord(); this.renderSession(); }
-    nextWord() { this.currentWord = this.app.learningEngine.getNextWord(this.vocabSet); this.showingAnswer = false; }
-    renderSession() {
+/**
+ * IndexedDB-backed storage with the same async API as SimpleStorage. Records live in one
+ * object store under the same names SimpleStorage uses (`progress_<key>`, `deck_<key>`),
+ * stored as structured objects rather than JSON strings.
+ *
+ * migrate() first upgrades localStorage records to the current schema, then moves every
+ * `vocabmaster:progress_*` / `vocabmaster:deck_*` key into IndexedDB. It runs on every start
+ * so the synchronous beforeunload snapshot (which can only use localStorage) is picked up too.
+ * When IndexedDB cannot be opened every call falls back to the localStorage implementation.
+ */
+class IndexedDBStorage extends SimpleStorage {
+    constructor(dbName = 'vocabmaster') {
+        super();
+        this.dbName = dbName;
+        this.storeName = 'records';
+        this.dbPromise = null;
+    }
+
+    static isSupported() {
+        try { return typeof indexedDB !== 'undefined' && indexedDB !== null; } catch (e) { return false; }
+    }
+
+    // Resolves to the open database, or null when IndexedDB is unusable (private mode, blocked, ...)
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                try {
+                    const req = indexedDB.open(this.dbName, 1);
+                    req.onupgradeneeded = () => { req.result.createObjectStore(this.storeName); };
+                    req.onsuccess = () => resolve(req.result);
+                    req.onerror = () => { console.warn('IndexedDB unavailable, using localStorage', req.error); resolve(null); };
+                    req.onblocked = () => { console.warn('IndexedDB open blocked, using localStorage'); resolve(null); };
+                } catch (e) {
+                    console.warn('IndexedDB unavailable, using localStorage', e);
+                    resolve(null);
+                }
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // Run `fn(store)` in a transaction and resolve with the request result once it commits
+    async run(mode, fn) {
+        const db = await this.open();
+        if (!db) return { fallback: true };
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const req = fn(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve({ value: req ? req.result : undefined });
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    async migrate() {
+        const version = await super.migrate();
+        const db = await this.open();
+        if (!db) return version;
+        try {
+            const moved = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (key && (key.startsWith(`${this.prefix}progress_`) || key.startsWith(`${this.prefix}deck_`))) moved.push(key);
+            }
+            if (moved.length === 0) return version;
+            await this.run('readwrite', store => {
+                for (const key of moved) {
+                    try { store.put(JSON.parse(localStorage.getItem(key)), key.slice(this.prefix.length)); } catch (e) { /* skip unreadable record */ }
+                }
+            });
+            moved.forEach(key => localStorage.removeItem(key));
+        } catch (e) {
+            console.warn('IndexedDBStorage migrate failed', e);
+        }
+        return version;
+    }
+
+    async put(name, data) {
+        const res = await this.run('readwrite', store => store.put(data, name));
+        return res.fallback ? null : res;
+    }
+
+    async get(name) {
+        const res = await this.run('readonly', store => store.get(name));
+        return res.fallback ? undefined : (res.value === undefined ? null : res.value);
+    }
+
+    async saveProgress(key, data) {
+        try { if (await this.put(`progress_${key}`, data)) return; }
+        catch (e) { console.warn('IndexedDBStorage saveProgress failed', e); return; }
+        return super.saveProgress(key, data);
+    }
+
+    async loadProgress(key) {
+        try { const value = await this.get(`progress_${key}`); if (value !== undefined) return value; }
+        catch (e) { console.warn('IndexedDBStorage loadProgress failed', e); return null; }
+        return super.loadProgress(key);
+    }
+
+    async saveDeck(key, data) {
+        if (await this.put(`deck_${key}`, data)) return;
+        return super.saveDeck(key, data);
+    }
+
+    async loadDeck(key) {
+        try { const value = await this.get(`deck_${key}`); if (value !== undefined) return value; }
+        catch (e) { console.warn('IndexedDBStorage loadDeck failed', e); return null; }
+        return super.loadDeck(key);
+    }
+
+    async removeDeck(key) {
+        try { const res = await this.run('readwrite', store => store.delete(`deck_${key}`)); if (!res.fallback) return; }
+        catch (e) { console.warn('IndexedDBStorage removeDeck failed', e); return; }
+        return super.removeDeck(key);
+    }
+
+    async clearProgress() {
+        // localStorage may still hold a beforeunload snapshot
+        await super.clearProgress();
+        const range = IDBKeyRange.bound('progress_', 'progress_\uffff');
+        await this.run('readwrite', store => store.delete(range));
+    }
+}
+
+// Escape text for interpolation into innerHTML templates
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Rendering layer for every view. `html` is a tagged template that escapes each interpolated
+ * value unless it is SafeHtml (the result of another html`` template); arrays are joined.
+ * View.render() replaces a container's markup and registers its handlers. Elements name their
+ * handler in a `data-on-<event>` attribute (click, change, input, submit); one delegated
+ * listener per event type calls handlers[name](element, event) on the nearest rendered
+ * container that defines it, so markup never carries inline scripts.
+ */
+class SafeHtml {
+    constructor(markup) { this.markup = markup; }
+    toString() { return this.markup; }
+}
+
+function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, i) => { markup += View.toMarkup(value) + strings[i + 1]; });
+    return new SafeHtml(markup);
+}
+
+const View = {
+    EVENTS: ['click', 'change', 'input', 'submit'],
+    handlers: new WeakMap(),
+    listening: false,
+
+    toMarkup(value) {
+        if (value instanceof SafeHtml) return value.markup;
+        if (Array.isArray(value)) return value.map(View.toMarkup).join('');
+        if (value === null || value === undefined || value === false) return '';
+        return escapeHtml(value);
+    },
+
+    // Relative, http(s), blob: and data:image URLs only; anything else (javascript: etc.) becomes ''
+    safeUrl(url) {
+        const value = String(url || '').trim();
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(value);
+        if (!scheme) return value;
+        const name = scheme[1].toLowerCase();
+        if (name === 'http' || name === 'https' || name === 'blob') return value;
+        return name === 'data' && /^data:image\//i.test(value) ? value : '';
+    },
+
+    render(container, content, handlers = {}) {
+        if (!(content instanceof SafeHtml)) throw new TypeError('View.render() expects an html`` template');
+        View.listen();
+        container.innerHTML = content.markup;
+        View.handlers.set(container, handlers);
+        return container;
+    },
+
+    // Add handlers to an element without rendering into it (app-wide actions live on document.body)
+    bind(root, handlers) {
+        View.listen();
+        View.handlers.set(root, Object.assign({}, View.handlers.get(root), handlers));
+    },
+
+    listen() {
+        if (View.listening || typeof document === 'undefined') return;
+        View.listening = true;
+        View.EVENTS.forEach(type => document.addEventListener(type, ev => View.dispatch(type, ev)));
+    },
+
+    dispatch(type, ev) {
+        const attr = `data-on-${type}`;
+        const el = ev.target && ev.target.closest ? ev.target.closest(`[${attr}]`) : null;
+        if (!el) return;
+        if (type === 'submit') ev.preventDefault();
+        const action = el.getAttribute(attr);
+        for (let node = el; node; node = node.parentElement) {
+            const handlers = View.handlers.get(node);
+            if (handlers && typeof handlers[action] === 'function') {
+                handlers[action](el, ev);
+                return;
+            }
+        }
+        console.warn(`View: no handler for ${type} "${action}"`);
+    }
+};
+
+/**
+ * Hash routes, so refresh, Back and shared links land on the same screen. parse() turns
+ * location.hash into { name, params } (name 'home' when nothing matches) and href() builds
+ * the hash for a route; VocabMaster.route() renders it and setRoute() records the screen.
+ */
+const Router = {
+    ROUTES: [
+        { name: 'deck', pattern: '/deck/:id' },
+        { name: 'study', pattern: '/deck/:id/study' },
+        { name: 'words', pattern: '/deck/:id/words' },
+        { name: 'word', pattern: '/deck/:id/word/:wordId' },
+        { name: 'leeches', pattern: '/deck/:id/leeches' },
+        { name: 'stats', pattern: '/stats' }
+    ],
+
+    parse(hash) {
+        const parts = String(hash || '').replace(/^#\/?/, '').split('/').filter(Boolean);
+        for (const route of Router.ROUTES) {
+            const names = route.pattern.split('/').filter(Boolean);
+            if (names.length !== parts.length) continue;
+            const params = {};
+            const match = names.every((name, i) => {
+                if (name[0] === ':') {
+                    try { params[name.slice(1)] = decodeURIComponent(parts[i]); } catch (e) { return false; }
+                    return true;
+                }
+                return name === parts[i];
+            });
+            if (match) return { name: route.name, params };
+        }
+        return { name: 'home', params: {} };
+    },
+
+    href(name, params = {}) {
+        const route = Router.ROUTES.find(r => r.name === name);
+        if (!route) return '#/';
+        return '#' + route.pattern.replace(/:(\w+)/g, (m, key) => encodeURIComponent(params[key]));
+    }
+};
+
+/**
+ * Parses vocabulary files into the VocabularySet JSON shape written by exportVocab.
+ * Supported formats:
+ * - json: the exported set ({ id, name, language, metadata, words }) or a bare array of words
+ * - csv / tsv: one word per row; columns are mapped to word fields (header row optional)
+ * - anki: Anki "Notes in Plain Text" export, honouring its `#separator`, `#html`,
+ *   `#columns` and `#tags column` header lines (.apkg packages must be exported as text first)
+ * parse() never throws for bad input; problems are reported in `errors` (fatal) and `warnings`.
+ */
+class VocabImporter {
+    detectFormat(text, filename = '') {
+        const ext = (filename.split('.').pop() || '').toLowerCase();
+        if (ext === 'json') return 'json';
+        if (ext === 'csv') return 'csv';
+        if (ext === 'tsv') return 'tsv';
+        const trimmed = text.trim();
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+        if (/^#(separator|html|columns|tags column|notetype|deck):/m.test(trimmed)) return 'anki';
+        if (ext === 'txt') return 'anki';
+        const firstLine = trimmed.split(/\r?\n/)[0] || '';
+        return firstLine.includes('\t') ? 'tsv' : 'csv';
+    }
+
+    /**
+     * @param {string} text file contents
+     * @param {object} options { filename, format ('auto'|'json'|'csv'|'tsv'|'anki'), mapping, hasHeader, name, language, id }
+     * @returns {{ format, columns, mapping, hasHeader, set, errors, warnings }}
+     */
+    parse(text, options = {}) {
+        const format = !options.format || options.format === 'auto' ? this.detectFormat(text, options.filename) : options.format;
+        const result = { format, columns: [], mapping: null, hasHeader: false, set: null, errors: [], warnings: [] };
+        if (!text || !text.trim()) {
+            result.errors.push('The file is empty.');
+            return result;
+        }
+        let raw;
+        if (format === 'json') {
+            raw = this.parseJson(text, result);
+            if (raw && raw.format === VocabExporter.BACKUP_FORMAT) return this.parseBackup(raw, result);
+        } else {
+            raw = this.parseTable(text, format, options, result);
+        }
+        if (!raw) return result;
+
+        const baseName = (options.filename || '').replace(/\.[^.]+$/, '');
+        const name = options.name || raw.name || baseName || 'Imported vocabulary';
+        const slug = VocabImporter.slugify(name);
+        const id = options.id || raw.id || (slug.startsWith('imported') ? slug : `imported-${slug}`);
+        const words = this.validateWords(raw.words, id, result);
+        if (words.length === 0) result.errors.push('No valid words found.');
+        result.set = {
+            id,
+            name,
+            language: options.language || raw.language || 'unknown',
+            metadata: Object.assign({}, raw.metadata || {}, { source: 'import', importedFormat: format, importedAt: Date.now() }),
+            words
+        };
+        return result;
+    }
+
+    parseJson(text, result) {
+        let data;
+        try { data = JSON.parse(text); } catch (e) {
+            result.errors.push(`Invalid JSON: ${e.message}`);
+            return null;
+        }
+        if (Array.isArray(data)) data = { words: data };
+        if (data && data.format === VocabExporter.BACKUP_FORMAT) return data;
+        if (!data || typeof data !== 'object' || !Array.isArray(data.words)) {
+            result.errors.push('JSON must be a vocabulary set with a "words" array.');
+            return null;
+        }
+        return data;
+    }
+
+    // Full backups restore as a whole; only check that the sets inside are usable
+    parseBackup(data, result) {
+        result.format = 'backup';
+        if (!Array.isArray(data.sets)) {
+            result.errors.push('Backup has no "sets" list.');
+            return result;
+        }
+        if (data.schemaVersion > STORAGE_SCHEMA_VERSION) result.warnings.push('Backup was written by a newer version; some data may be ignored.');
+        data.sets = data.sets.filter((set, i) => {
+            if (set && set.id && Array.isArray(set.words)) return true;
+            result.warnings.push(`Set ${i + 1} is missing an id or words, skipped.`);
+            return false;
+        });
+        result.backup = data;
+        return result;
+    }
+
+    parseTable(text, format, options, result) {
+        let body = text.replace(/^\uFEFF/, '');
+        let delimiter = format === 'tsv' ? '\t' : ',';
+        let html = false;
+        let tagsColumn = -1;
+        let columns = null;
+        if (format === 'anki') {
+            delimiter = '\t';
+            const lines = body.split(/\r?\n/);
+            let i = 0;
+            for (; i < lines.length && lines[i].startsWith('#'); i++) {
+                const m = lines[i].match(/^#([^:]+):(.*)$/);
+                if (!m) continue;
+                const key = m[1].trim().toLowerCase();
+                const value = m[2].trim();
+                if (key === 'separator') delimiter = VocabImporter.ANKI_SEPARATORS[value.toLowerCase()] || value;
+                else if (key === 'html') html = value === 'true';
+                else if (key === 'tags column') tagsColumn = parseInt(value, 10) - 1;
+                else if (key === 'columns') columns = value.split(delimiter);
+            }
+            body = lines.slice(i).join('\n');
+        }
+        const rows = VocabImporter.splitRows(body, delimiter).filter(r => r.some(c => c.trim() !== ''));
+        if (rows.length === 0) {
+            result.errors.push('No rows found.');
+            return null;
+        }
+        const hasHeader = columns ? false : (options.hasHeader !== undefined ? options.hasHeader : this.looksLikeHeader(rows[0]));
+        if (hasHeader) columns = rows.shift();
+        const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+        if (!columns) columns = Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        result.columns = columns;
+        result.hasHeader = hasHeader;
+        result.mapping = options.mapping || this.defaultMapping(columns, tagsColumn);
+        const cell = (row, field) => {
+            const idx = result.mapping[field];
+            if (idx === undefined || idx === null || idx < 0 || idx >= row.length) return '';
+            const value = row[idx] || '';
+            return (html ? VocabImporter.stripHtml(value) : value).trim();
+        };
+        const lineOffset = hasHeader ? 2 : 1;
+        // Anki separates tags with spaces; CSV/TSV tags may contain spaces, so they are comma separated (as in the deck editor)
+        const tagSeparator = format === 'anki' ? /\s+/ : ',';
+        const words = rows.map((row, i) => ({
+            id: cell(row, 'id'),
+            target: cell(row, 'target'),
+            native: cell(row, 'native'),
+            transliteration: cell(row, 'transliteration'),
+            examples: cell(row, 'examples').split('|').map(x => x.trim()).filter(Boolean),
+            tags: cell(row, 'tags').split(tagSeparator).map(x => x.trim()).filter(Boolean),
+            line: i + lineOffset
+        }));
+        return { words };
+    }
+
+    looksLikeHeader(row) {
+        const known = Object.values(VocabImporter.FIELD_ALIASES).flat();
+        return row.some(c => known.includes(c.trim().toLowerCase()));
+    }
+
+    // Match header names against FIELD_ALIASES; unnamed columns fall back to target, native, transliteration, examples, tags
+    defaultMapping(columns, tagsColumn = -1) {
+        const mapping = {};
+        const lower = columns.map(c => String(c).trim().toLowerCase());
+        for (const [field, aliases] of Object.entries(VocabImporter.FIELD_ALIASES)) {
+            const idx = lower.findIndex(c => aliases.includes(c));
+            if (idx >= 0) mapping[field] = idx;
+        }
+        if (Object.keys(mapping).length === 0) {
+            VocabImporter.FIELDS.forEach((field, i) => { if (i < columns.length && i !== tagsColumn) mapping[field] = i; });
+        }
+        if (tagsColumn >= 0) mapping.tags = tagsColumn;
+        // ids are only taken from a named column (our own CSV export or an Anki GUID column)
+        const idIdx = lower.findIndex(c => ['id', 'guid'].includes(c));
+        if (idIdx >= 0) mapping.id = idIdx;
+        return mapping;
+    }
+
+    validateWords(rawWords, setId, result) {
+        const words = [];
+        const seenIds = new Set();
+        const seenTargets = new Set();
+        rawWords.forEach((w, i) => {
+            const where = w && w.line ? `Line ${w.line}` : `Word ${i + 1}`;
+            if (!w || typeof w !== 'object') { result.warnings.push(`${where}: not a word object, skipped.`); return; }
+            const target = typeof w.target === 'string' ? w.target.trim() : '';
+            const native = typeof w.native === 'string' ? w.native.trim() : '';
+            if (!target || !native) { result.warnings.push(`${where}: missing ${!target ? 'target' : 'native'}, skipped.`); return; }
+            let id = typeof w.id === 'string' && w.id.trim() ? w.id.trim() : `${setId}-${String(i + 1).padStart(4, '0')}`;
+            if (seenIds.has(id)) {
+                result.warnings.push(`${where}: duplicate id "${id}", a new one was assigned.`);
+                id = `${id}-${i + 1}`;
+            }
+            seenIds.add(id);
+            if (seenTargets.has(target)) result.warnings.push(`${where}: "${target}" appears more than once.`);
+            seenTargets.add(target);
+            words.push({
+                id,
+                target,
+                native,
+                transliteration: typeof w.transliteration === 'string' ? w.transliteration.trim() : '',
+                examples: Array.isArray(w.examples) ? w.examples.filter(x => typeof x === 'string') : [],
+                tags: Array.isArray(w.tags) ? w.tags.filter(x => typeof x === 'string') : [],
+                image: typeof w.image === 'string' ? w.image : '',
+                audio: typeof w.audio === 'string' ? w.audio : ''
+            });
+        });
+        return words;
+    }
+
+    // RFC 4180 style splitter: quoted cells may contain the delimiter, newlines and "" escapes
+    static splitRows(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else cell += ch;
+            } else if (ch === '"' && cell === '') {
+                quoted = true;
+            } else if (text.startsWith(delimiter, i)) {
+                row.push(cell); cell = '';
+                i += delimiter.length - 1;
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell); rows.push(row);
+                row = []; cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+        return rows;
+    }
+
+    static stripHtml(value) {
+        return String(value)
+            .replace(/<br\s*\/?>/gi, ' ')
+            .replace(/<[^>]*>/g, '')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .replace(/&amp;/g, '&');
+    }
+
+    static slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || `set-${Date.now().toString(36)}`;
+    }
+}
+VocabImporter.FIELDS = ['target', 'native', 'transliteration', 'examples', 'tags'];
+VocabImporter.FIELD_ALIASES = {
+    target: ['target', 'word', 'term', 'front'],
+    native: ['native', 'translation', 'meaning', 'back'],
+    transliteration: ['transliteration', 'romanization', 'pronunciation', 'reading'],
+    examples: ['examples', 'example', 'sentence'],
+    tags: ['tags', 'tag']
+};
+
+/**
+ * Serialises a VocabularySet for download. JSON keeps the file format used by the
+ * vocab/ decks; CSV round-trips through VocabImporter; Anki TSV follows the
+ * "Notes in Plain Text" layout (Basic note type, tags and GUID columns) so re-importing
+ * into Anki updates notes instead of duplicating them.
+ */
+class VocabExporter {
+    toJson(vocabSet) {
+        return JSON.stringify(this.toData(vocabSet), null, 2);
+    }
+
+    // The dictionary file shape (as in vocab/*.json) without any learning state
+    toData(vocabSet) {
+        return {
+            id: vocabSet.id,
+            name: vocabSet.name,
+            language: vocabSet.language,
+            metadata: Object.assign({}, vocabSet.metadata),
+            words: vocabSet.words.map(word => this.wordContent(word))
+        };
+    }
+
+    wordContent(word) {
+        return { id: word.id || null, target: word.target, native: word.native, transliteration: word.transliteration || '', image: word.image || '', audio: word.audio || '', examples: word.examples || [], tags: word.tags || [] };
+    }
+
+    toCsv(vocabSet) {
+        const header = ['id', 'target', 'native', 'transliteration', 'examples', 'tags'];
+        const rows = vocabSet.words.map(w => [w.id || '', w.target, w.native, w.transliteration || '', (w.examples || []).join(' | '), (w.tags || []).join(', ')]);
+        return [header, ...rows].map(r => r.map(VocabExporter.csvCell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    toAnkiTsv(vocabSet) {
+        const lines = [
+            '#separator:tab',
+            '#html:true',
+            '#notetype:Basic',
+            `#deck:${VocabExporter.tsvCell(vocabSet.name)}`,
+            '#columns:Front\tBack\tTags\tGUID',
+            '#tags column:3',
+            '#guid column:4'
+        ];
+        for (const w of vocabSet.words) {
+            const back = [escapeHtml(w.native)];
+            if (w.transliteration) back.push(`<i>${escapeHtml(w.transliteration)}</i>`);
+            (w.examples || []).forEach(ex => back.push(escapeHtml(ex)));
+            // Anki tags cannot contain spaces
+            const tags = (w.tags || []).map(t => String(t).replace(/\s+/g, '_')).join(' ');
+            lines.push([escapeHtml(w.target), back.join('<br>'), tags, w.id || ''].map(VocabExporter.tsvCell).join('\t'));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    static csvCell(value) {
+        const text = String(value === null || value === undefined ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Tabs and newlines would break the row; Anki text exports never contain them either
+    static tsvCell(value) {
+        return String(value === null || value === undefined ? '' : value).replace(/[\t\r\n]+/g, ' ');
+    }
+}
+VocabExporter.BACKUP_FORMAT = 'vocabmaster-backup';
+VocabExporter.FORMATS = [
+    { id: 'json', label: 'JSON', ext: 'json', mime: 'application/json' },
+    { id: 'csv', label: 'CSV', ext: 'csv', mime: 'text/csv' },
+    { id: 'anki', label: 'Anki (TSV)', ext: 'txt', mime: 'text/plain' }
+];
+
+VocabImporter.ANKI_SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', space: ' ', colon: ':' };
+
+/**
+ * Pushes and pulls this user's progress to an HTTP endpoint (reference server: ../server/sync-server.js).
+ *   GET <endpoint>/users/<userId>/progress -> progress document, 404 when the user has none yet
+ *   PUT <endpoint>/users/<userId>/progress -> the server merges the body and returns the stored document
+ * Both sides merge with ProgressMerge (js/sync-merge.js), so pushes from several devices commute.
+ * Vocab records are keyed by manifest path for built-in dictionaries and by id for imported ones.
+ */
+class SyncClient {
+    constructor(app) {
+        this.app = app;
+        this.pushTimer = null;
+        this.running = null;
+        this.state = { lastSyncedAt: null, remoteCounters: {} };
+    }
+
+    get endpoint() { return String(this.app.settings.syncUrl || '').trim().replace(/\/+$/, ''); }
+
+    get enabled() { return !!this.endpoint; }
+
+    progressUrl() { return `${this.endpoint}/users/${encodeURIComponent(this.app.userId)}/progress`; }
+
+    async loadState() {
+        const data = await this.app.storage.loadProgress(`${this.app.userId}:sync`);
+        this.state = Object.assign({ lastSyncedAt: null, remoteCounters: {} }, data || {});
+    }
+
+    async saveState() {
+        await this.app.storage.saveProgress(`${this.app.userId}:sync`, this.state);
+    }
+
+    // Canonical sync key: the manifest path when the set came from one, else the set id
+    canonicalKey(vocabKey) {
+        return this.app.vocabPathForId.get(vocabKey) || vocabKey;
+    }
+
+    // This device's share of the progress counters: local totals minus what other devices contributed
+    ownCounters() {
+        const remote = ProgressMerge.sumCounters(this.state.remoteCounters);
+        const own = {};
+        for (const f of ProgressMerge.COUNTER_FIELDS) own[f] = Math.max(0, (this.app.userProgress.stats[f] || 0) - remote[f]);
+        return own;
+    }
+
+    async buildLocalDoc() {
+        const vocabs = {};
+        for (const key of this.app.vocabProgress.keys()) {
+            const canonical = this.canonicalKey(key);
+            if (vocabs[canonical]) continue;
+            const vocabSet = this.app.getVocabSetForKey(key);
+            let record;
+            if (vocabSet) {
+                record = { learnedIds: Array.from(this.app.vocabProgress.get(key) || []), wordStats: this.app.collectWordStats(vocabSet) };
+            } else {
+                // eslint-disable-next-line no-await-in-loop
+                const stored = await this.app.storage.loadProgress(`${this.app.userId}:vocab:${canonical}`);
+                record = { learnedIds: Array.from(this.app.vocabProgress.get(key) || []), wordStats: (stored && stored.wordStats) || {} };
+            }
+            vocabs[canonical] = ProgressMerge.mergeVocab(record, {});
+        }
+        const byDevice = Object.assign({}, this.state.remoteCounters, { [this.app.deviceId]: this.ownCounters() });
+        return { userId: this.app.userId, updatedAt: Date.now(), vocabs, userProgress: { byDevice } };
+    }
+
+    /** Merge a progress document into local storage and the in-memory sets. */
+    async applyDoc(doc) {
+        const app = this.app;
+        for (const [key, remote] of Object.entries(doc.vocabs || {})) {
+            // eslint-disable-next-line no-await-in-loop
+            const stored = await app.storage.loadProgress(`${app.userId}:vocab:${key}`);
+            const merged = ProgressMerge.mergeVocab(stored || { learnedIds: Array.from(app.vocabProgress.get(key) || []) }, remote);
+            const vocabSet = app.getVocabSetForKey(key);
+            // the server keeps the stats of words deleted in the deck editor; they are not learned here
+            if (vocabSet) {
+                const wordKeys = new Set(vocabSet.words.map(w => app.getWordKey(w)));
+                merged.learnedIds = merged.learnedIds.filter(id => wordKeys.has(id));
+            }
+            // replaced rather than added to, so answers undone on another device drop out
+            const learned = app.vocabProgress.get(key) || new Set();
+            learned.clear();
+            merged.learnedIds.forEach(id => learned.add(id));
+            const keys = [key];
+            if (vocabSet && vocabSet.id !== key) keys.push(vocabSet.id);
+            for (const k of keys) {
+                app.vocabProgress.set(k, learned);
+                // eslint-disable-next-line no-await-in-loop
+                await app.storage.saveProgress(`${app.userId}:vocab:${k}`, { schemaVersion: app.storage.schemaVersion, learnedIds: merged.learnedIds, wordStats: merged.wordStats });
+            }
+            if (vocabSet) {
+                // only take the remote schedule where it is newer than what this device has
+                const newer = {};
+                for (const word of vocabSet.words) {
+                    for (const direction of Word.DIRECTIONS) {
+                        const id = Word.statsKey(app.getWordKey(word), direction);
+                        const incoming = merged.wordStats[id];
+                        const local = direction === 'reverse' && !word.reverseStats ? null : word.statsFor(direction).toJSON();
+                        if (incoming && ProgressMerge.newerStats(local, incoming) === incoming) newer[id] = incoming;
+                    }
+                }
+                app.applyWordStats(vocabSet, newer);
+            }
+        }
+        const byDevice = (doc.userProgress && doc.userProgress.byDevice) || {};
+        const own = ProgressMerge.mergeCounters({ self: this.ownCounters() }, { self: byDevice[app.deviceId] || {} }).self;
+        this.state.remoteCounters = Object.fromEntries(Object.entries(byDevice).filter(([device]) => device !== app.deviceId));
+        const remote = ProgressMerge.sumCounters(this.state.remoteCounters);
+        for (const f of ProgressMerge.COUNTER_FIELDS) app.userProgress.stats[f] = own[f] + remote[f];
+        await app.storage.saveProgress(app.userId, app.userProgress.getStats());
+    }
+
+    async request(method, body) {
+        const res = await fetch(this.progressUrl(), {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined,
+            cache: 'no-store'
+        });
+        if (method === 'GET' && res.status === 404) return null;
+        if (!res.ok) throw new Error(`Sync ${method} failed: ${res.status}`);
+        return res.json();
+    }
+
+    /** Pull, merge and push. Concurrent calls share one run. Resolves to true on success. */
+    sync() {
+        if (!this.enabled) return Promise.resolve(false);
+        if (this.running) return this.running;
+        clearTimeout(this.pushTimer);
+        this.running = (async () => {
+            try {
+                const remote = await this.request('GET');
+                const merged = ProgressMerge.mergeDocs(await this.buildLocalDoc(), remote);
+                await this.applyDoc(merged);
+                const stored = await this.request('PUT', await this.buildLocalDoc());
+                if (stored) await this.applyDoc(stored);
+                this.state.lastSyncedAt = Date.now();
+                this.state.lastError = null;
+                await this.saveState();
+                return true;
+            } catch (e) {
+                console.warn('Sync failed', e);
+                this.state.lastError = String(e.message || e);
+                await this.saveState();
+                return false;
+            } finally {
+                this.running = null;
+            }
+        })();
+        return this.running;
+    }
+
+    // Debounced sync after answers so a burst of reviews becomes one request
+    schedulePush(delay = 5000) {
+        if (!this.enabled) return;
+        clearTimeout(this.pushTimer);
+        this.pushTimer = setTimeout(() => { this.sync(); }, delay);
+    }
+}
+
+/**
+ * Append-only log of answers. Events are stored one record per local day
+ * (`<user>:history:<YYYY-MM-DD>`) next to an index of recorded days, so the
+ * statistics view can read a date range without loading the whole history.
+ * Event shape: { at, wordId, vocabId, grade, responseMs, intervalBefore, intervalAfter, elapsedDays, scheduler }
+ */
+class ReviewHistory {
+    constructor(app) {
+        this.app = app;
+        this.userId = null;
+        this.index = null;
+        this.days = new Map();
+    }
+
+    static dayKey(ts) {
+        const d = new Date(ts);
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+
+    key(suffix) { return `${this.app.userId}:history:${suffix}`; }
+
+    // Caches are per user; drop them when the user id changes (device linking)
+    async loadIndex() {
+        if (this.userId !== this.app.userId) {
+            this.userId = this.app.userId;
+            this.index = null;
+            this.days = new Map();
+        }
+        if (!this.index) this.index = (await this.app.storage.loadProgress(this.key('index'))) || [];
+        return this.index;
+    }
+
+    async loadDay(day) {
+        if (!this.days.has(day)) this.days.set(day, (await this.app.storage.loadProgress(this.key(day))) || []);
+        return this.days.get(day);
+    }
+
+    async record(event) {
+        try {
+            const index = await this.loadIndex();
+            const day = ReviewHistory.dayKey(event.at);
+            const events = await this.loadDay(day);
+            events.push(event);
+            await this.app.storage.saveProgress(this.key(day), events);
+            if (!index.includes(day)) {
+                index.push(day);
+                index.sort();
+                await this.app.storage.saveProgress(this.key('index'), index);
+            }
+        } catch (e) {
+            console.warn('ReviewHistory record failed', e);
+        }
+    }
+
+    /** Events recorded on or after `since` (timestamp), oldest first. */
+    async load(since = 0) {
+        const index = await this.loadIndex();
+        const fromDay = ReviewHistory.dayKey(since);
+        const out = [];
+        for (const day of index) {
+            if (day < fromDay) continue;
+            // eslint-disable-next-line no-await-in-loop
+            (await this.loadDay(day)).forEach(ev => { if (ev.at >= since) out.push(ev); });
+        }
+        return out;
+    }
+
+    /** Drop one recorded event (an undone answer). */
+    async remove(event) {
+        try {
+            const day = ReviewHistory.dayKey(event.at);
+            const events = await this.loadDay(day);
+            const i = events.findIndex(ev => ev === event || (ev.at === event.at && ev.wordId === event.wordId && ev.direction === event.direction));
+            if (i === -1) return;
+            events.splice(i, 1);
+            await this.app.storage.saveProgress(this.key(day), events);
+        } catch (e) {
+            console.warn('ReviewHistory remove failed', e);
+        }
+    }
+
+    /**
+     * Cards answered since `since` per dictionary and queue: Map vocabId -> { new, learning, review }.
+     * Events logged before queues existed count as new when they had no previous interval.
+     */
+    async countQueues(since) {
+        const counts = new Map();
+        for (const ev of await this.load(since)) {
+            if (!counts.has(ev.vocabId)) counts.set(ev.vocabId, { new: 0, learning: 0, review: 0 });
+            const queue = ev.queue || (ev.intervalBefore === null ? 'new' : 'review');
+            counts.get(ev.vocabId)[queue]++;
+        }
+        return counts;
+    }
+
+    /** Add events from a backup, skipping ones already present (same time and word). */
+    async importEvents(events) {
+        const byDay = new Map();
+        for (const ev of events || []) {
+            if (!ev || typeof ev.at !== 'number') continue;
+            const day = ReviewHistory.dayKey(ev.at);
+            if (!byDay.has(day)) byDay.set(day, []);
+            byDay.get(day).push(ev);
+        }
+        const index = await this.loadIndex();
+        for (const [day, incoming] of byDay) {
+            // eslint-disable-next-line no-await-in-loop
+            const existing = await this.loadDay(day);
+            const seen = new Set(existing.map(ev => `${ev.at}|${ev.wordId}`));
+            incoming.forEach(ev => { if (!seen.has(`${ev.at}|${ev.wordId}`)) existing.push(ev); });
+            existing.sort((a, b) => a.at - b.at);
+            // eslint-disable-next-line no-await-in-loop
+            await this.app.storage.saveProgress(this.key(day), existing);
+            if (!index.includes(day)) index.push(day);
+        }
+        index.sort();
+        await this.app.storage.saveProgress(this.key('index'), index);
+    }
+}
+
+// Aggregations behind the statistics view; pure functions over history events and word stats
+const ReviewStats = {
+    // [{ day, count, correct }] for the last `days` days, oldest first
+    dailyCounts(events, days, now = Date.now()) {
+        const out = [];
+        const byDay = new Map();
+        for (let i = days - 1; i >= 0; i--) {
+            const day = ReviewHistory.dayKey(now - i * DAY_MS);
+            const entry = { day, count: 0, correct: 0 };
+            byDay.set(day, entry);
+            out.push(entry);
+        }
+        for (const ev of events) {
+            const entry = byDay.get(ReviewHistory.dayKey(ev.at));
+            if (!entry) continue;
+            entry.count++;
+            if (ev.grade >= 3) entry.correct++;
+        }
+        return out;
+    },
+
+    // Recall rate by days elapsed since the previous review; first reviews are excluded
+    retentionCurve(events) {
+        const buckets = [
+            { label: '≤1d', max: 1 }, { label: '2-3d', max: 3 }, { label: '4-7d', max: 7 },
+            { label: '8-14d', max: 14 }, { label: '15-30d', max: 30 }, { label: '31-90d', max: 90 }, { label: '>90d', max: Infinity }
+        ].map(b => Object.assign(b, { count: 0, correct: 0 }));
+        for (const ev of events) {
+            if (typeof ev.elapsedDays !== 'number') continue;
+            const bucket = buckets.find(b => ev.elapsedDays <= b.max);
+            bucket.count++;
+            if (ev.grade >= 3) bucket.correct++;
+        }
+        return buckets.map(b => ({ label: b.label, count: b.count, rate: b.count ? b.correct / b.count : null }));
+    },
+
+    // Reviewed words falling due on each of the next `days` days; overdue words count for today
+    forecast(vocabSets, days, now = Date.now()) {
+        const out = [];
+        for (let i = 0; i < days; i++) out.push({ day: ReviewHistory.dayKey(now + i * DAY_MS), count: 0 });
+        const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+        for (const vs of vocabSets) {
+            for (const w of vs.words) {
+                for (const stats of [w.stats, w.reverseStats]) {
+                    if (!stats || stats.lastReviewed === null || stats.suspended) continue;
+                    const offset = Math.max(0, Math.floor((stats.dueDate - startOfToday) / DAY_MS));
+                    if (offset < days) out[offset].count++;
+                }
+            }
+        }
+        return out;
+    },
+
+    // Consecutive days with at least one review, ending today (or yesterday if nothing yet today)
+    streak(events, now = Date.now()) {
+        const days = new Set(events.map(ev => ReviewHistory.dayKey(ev.at)));
+        let cursor = days.has(ReviewHistory.dayKey(now)) ? now : now - DAY_MS;
+        let count = 0;
+        while (days.has(ReviewHistory.dayKey(cursor))) {
+            count++;
+            cursor -= DAY_MS;
+        }
+        return count;
+    }
+};
+
+/**
+ * Checks typed answers. Both sides are normalised (case, accents/tone marks, punctuation,
+ * parenthesised notes) and the expected value is split into alternatives on "/", "," and ";",
+ * so "I / me (female or neutral)" accepts "me". Small typos are tolerated by edit distance.
+ */
+const AnswerMatcher = {
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[.,!?;:"'()¿¡…-]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    alternatives(expected) {
+        const values = Array.isArray(expected) ? expected : [expected];
+        const out = new Set();
+        for (const value of values) {
+            if (!value) continue;
+            const withoutNotes = String(value).replace(/\([^)]*\)/g, ' ');
+            out.add(this.normalize(withoutNotes));
+            withoutNotes.split(/[\/,;]/).forEach(part => out.add(this.normalize(part)));
+        }
+        out.delete('');
+        return Array.from(out);
+    },
+
+    distance(a, b) {
+        const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            let diag = prev[0];
+            prev[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const tmp = prev[j];
+                prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diag = tmp;
+            }
+        }
+        return prev[b.length];
+    },
+
+    // Typos allowed for an answer of this length
+    tolerance(length) {
+        if (length <= 3) return 0;
+        if (length <= 7) return 1;
+        return 2;
+    },
+
+    /** Returns 'exact', 'close' (within typo tolerance) or 'wrong'. */
+    check(input, expected) {
+        const given = this.normalize(input);
+        if (!given) return 'wrong';
+        const options = this.alternatives(expected);
+        if (options.includes(given)) return 'exact';
+        return options.some(opt => this.distance(given, opt) <= this.tolerance(opt.length)) ? 'close' : 'wrong';
+    }
+};
+
+// How a session asks for each card; `grading: 'auto'` modes grade from the learner's answer
+const SESSION_MODES = [
+    { id: 'flip', label: 'Flashcards', grading: 'self' },
+    { id: 'typing', label: 'Type the answer', grading: 'auto' },
+    { id: 'choice', label: 'Multiple choice', grading: 'auto' }
+];
+
+// How new cards are mixed with reviews: spread evenly, shown before, or after the day's reviews
+const NEW_CARD_ORDERS = [
+    { id: 'mix', label: 'Mix new cards with reviews' },
+    { id: 'new-first', label: 'New cards first' },
+    { id: 'reviews-first', label: 'Reviews first' }
+];
+const DEFAULT_DECK_LIMITS = { newPerDay: 20, reviewsPerDay: 200 };
+// What happens when a card reaches the leech threshold (settings.leechAction)
+const LEECH_ACTIONS = [
+    { id: 'suspend', label: 'Tag and suspend' },
+    { id: 'tag', label: 'Tag only' }
+];
+
+/**
+ * Tag filter for custom sessions: `{ include: [...], exclude: [...] }`. A word passes when it
+ * has any included tag (or no include list is given) and none of the excluded ones.
+ */
+const TagFilter = {
+    // shown and filtered like a tag, but kept with the word's stats rather than in the dictionary
+    LEECH_TAG: 'leech',
+
+    isEmpty(filter) {
+        return !filter || (!(filter.include || []).length && !(filter.exclude || []).length);
+    },
+
+    tagsOf(word) {
+        const tags = word.tags || [];
+        return word.isLeech() && !tags.includes(TagFilter.LEECH_TAG) ? tags.concat(TagFilter.LEECH_TAG) : tags;
+    },
+
+    matches(word, filter) {
+        if (TagFilter.isEmpty(filter)) return true;
+        const tags = TagFilter.tagsOf(word);
+        if ((filter.include || []).length && !filter.include.some(t => tags.includes(t))) return false;
+        return !(filter.exclude || []).some(t => tags.includes(t));
+    },
+
+    // [tag, word count] pairs across the given sets, most used first
+    countTags(vocabSets) {
+        const counts = new Map();
+        for (const set of [].concat(vocabSets)) {
+            for (const word of set.words) TagFilter.tagsOf(word).forEach(t => counts.set(t, (counts.get(t) || 0) + 1));
+        }
+        return Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    }
+};
+
+/**
+ * In-app pronunciation. A word's recorded `audio` file is played when present; otherwise the
+ * Web Speech API speaks the text with a voice matching the set's language (e.g. 'th' -> th-TH).
+ */
+class SpeechPlayer {
+    constructor() {
+        this.audio = null;
+        this.voices = [];
+        if (this.isSupported()) {
+            this.loadVoices();
+            // Chrome fills the voice list asynchronously
+            try { speechSynthesis.addEventListener('voiceschanged', () => this.loadVoices()); } catch (e) { /* older Safari */ }
+        }
+    }
+
+    isSupported() {
+        return typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+    }
+
+    loadVoices() {
+        try { this.voices = speechSynthesis.getVoices() || []; } catch (e) { this.voices = []; }
+    }
+
+    // BCP 47 locale for a VocabularySet.language value; full tags such as 'pt-BR' pass through
+    static localeFor(language) {
+        if (!language || language === 'unknown') return '';
+        if (language.includes('-')) return language;
+        return SpeechPlayer.LOCALES[language] || language;
+    }
+
+    voiceFor(locale) {
+        if (!locale) return null;
+        const lower = locale.toLowerCase();
+        const base = lower.split('-')[0];
+        const norm = v => (v.lang || '').toLowerCase().replace('_', '-');
+        return this.voices.find(v => norm(v) === lower) || this.voices.find(v => norm(v).split('-')[0] === base) || null;
+    }
+
+    hasVoiceFor(language) {
+        return this.isSupported() && !!this.voiceFor(SpeechPlayer.localeFor(language));
+    }
+
+    stop() {
+        if (this.audio) { this.audio.pause(); this.audio = null; }
+        if (this.isSupported()) speechSynthesis.cancel();
+    }
+
+    /** Speak `text`; resolves false when nothing could be played (no API or no matching voice). */
+    speak(text, language, rate = 1) {
+        if (!this.isSupported() || !text) return Promise.resolve(false);
+        const locale = SpeechPlayer.localeFor(language);
+        const voice = this.voiceFor(locale);
+        if (!voice) return Promise.resolve(false);
+        this.stop();
+        return new Promise((resolve) => {
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.lang = locale;
+            utterance.voice = voice;
+            utterance.rate = rate;
+            utterance.onend = () => resolve(true);
+            utterance.onerror = () => resolve(false);
+            speechSynthesis.speak(utterance);
+        });
+    }
+
+    playFile(url, rate = 1) {
+        this.stop();
+        return new Promise((resolve) => {
+            try {
+                const audio = new Audio(url);
+                audio.playbackRate = rate;
+                audio.onended = () => resolve(true);
+                audio.onerror = () => resolve(false);
+                this.audio = audio;
+                audio.play().catch(() => resolve(false));
+            } catch (e) {
+                resolve(false);
+            }
+        });
+    }
+
+    /** Play a word: its recording when the deck provides one, else synthesis of `target`. */
+    async playWord(word, language, rate = 1) {
+        if (word.audio && await this.playFile(word.audio, rate)) return true;
+        return this.speak(word.target, language, rate);
+    }
+
+    /**
+     * Examples mix target-language sentences with English glosses; plain-ASCII lines in a
+     * deck whose language is not written in Latin script are read with an English voice.
+     */
+    playExample(text, language, rate = 1) {
+        const latin = SpeechPlayer.LATIN_SCRIPT.includes(String(language).split('-')[0]);
+        const lang = !latin && /^[\x00-\x7F]*$/.test(text) ? 'en' : language;
+        return this.speak(text, lang, rate);
+    }
+}
+SpeechPlayer.LOCALES = { th: 'th-TH', en: 'en-US', es: 'es-ES', fr: 'fr-FR', de: 'de-DE', it: 'it-IT', pt: 'pt-PT', ru: 'ru-RU', ja: 'ja-JP', ko: 'ko-KR', zh: 'zh-CN', vi: 'vi-VN', id: 'id-ID' };
+SpeechPlayer.LATIN_SCRIPT = ['en', 'es', 'fr', 'de', 'it', 'pt', 'vi', 'id', 'nl', 'pl', 'tr'];
+
+class LearningSession {
+    constructor(app, vocabSet, options = {}) {
+        this.app = app;
+        // a combined session draws from several sets; `vocabSet` is the set of the current card
+        this.vocabSets = [].concat(vocabSet);
+        this.vocabSet = this.vocabSets[0];
+        this.currentWord = null;
+        this.showingAnswer = false;
+        this.mode = SESSION_MODES.some(m => m.id === options.mode) ? options.mode : 'flip';
+        const direction = CARD_DIRECTIONS.find(d => d.id === options.direction) || CARD_DIRECTIONS[0];
+        this.directionId = direction.id;
+        this.directions = direction.directions;
+        this.currentDirection = 'forward';
+        // word -> direction answered this session; in 'both' mode the other direction waits for a later session
+        this.answeredWords = new Map();
+        // word field shown on the card and the field the learner has to recall (set per card)
+        this.promptField = 'target';
+        this.answerField = 'native';
+        this.feedback = null; // auto-graded modes: { quality, verdict, given } once answered
+        this.choices = [];
+        this.tagFilter = TagFilter.isEmpty(options.tags) ? null : options.tags;
+        // re-study: only these cards ([{ vocabId, wordId, direction }]), e.g. the ones missed in the last session
+        this.cards = Array.isArray(options.cards) ? options.cards : null;
+        this.cardKeys = this.cards ? new Set(this.cards.map(LearningSession.cardKey)) : null;
+        // cram: drill every matching card regardless of due date without touching its schedule
+        this.cram = !!options.cram;
+        this.cramQueue = this.cram ? this.buildCramQueue() : [];
+        // cards answered today per set and queue (filled in start()), checked against each set's daily limits
+        this.doneToday = new Map();
+        this.reviewsSinceNew = 0;
+        this.currentQueue = 'new';
+        this.undoStack = [];
+        // every answer in order: { vocabId, wordId, direction, queue, grade, responseMs, lapsed, leech }
+        this.answers = [];
+        this.startedAt = Date.now();
+        this.elapsedBefore = 0; // time spent before the session was interrupted and resumed
+    }
+
+    /** Begin with the first due card, or continue where a saved checkpoint() left off. */
+    async start(checkpoint = null) {
+        if (!this.cram) {
+            const midnight = new Date();
+            midnight.setHours(0, 0, 0, 0);
+            try { this.doneToday = await this.app.history.countQueues(midnight.getTime()); } catch (e) { console.warn('Could not count today\'s reviews', e); }
+        }
+        if (checkpoint) this.restore(checkpoint);
+        else this.nextWord();
+        this.renderSession();
+    }
+
+    elapsed() {
+        return this.elapsedBefore + (Date.now() - this.startedAt);
+    }
+
+    cardRef(word, direction, vocabSet) {
+        return { vocabId: vocabSet.id, wordId: this.app.getWordKey(word), direction };
+    }
+
+    static cardKey(ref) {
+        return `${ref.vocabId}\u0000${ref.wordId}\u0000${ref.direction}`;
+    }
+
+    // Cards this session may show: not suspended, matching the tag filter and, when re-studying, one of the listed cards
+    includes(word, direction, vocabSet) {
+        if (word.statsFor(direction).suspended || !TagFilter.matches(word, this.tagFilter)) return false;
+        return !this.cardKeys || this.cardKeys.has(LearningSession.cardKey(this.cardRef(word, direction, vocabSet)));
+    }
+
+    findCard(ref) {
+        const vocabSet = ref && this.vocabSets.find(vs => vs.id === ref.vocabId);
+        const word = vocabSet && vocabSet.words.find(w => this.app.getWordKey(w) === ref.wordId);
+        return word ? { word, direction: ref.direction === 'reverse' ? 'reverse' : 'forward', vocabSet } : null;
+    }
+
+    /**
+     * Save what is needed to resume after the tab is closed: the decks and options, the card
+     * on screen, the cram queue and the answers so far. Scheduled sessions need no queue of
+     * their own; the next cards follow from the saved word schedules. Undo history is not kept.
+     */
+    async checkpoint() {
+        const data = this.currentWord ? {
+            savedAt: Date.now(),
+            vocabIds: this.vocabSets.map(vs => vs.id),
+            options: { mode: this.mode, direction: this.directionId, tags: this.tagFilter, cram: this.cram, cards: this.cards },
+            current: this.cardRef(this.currentWord, this.currentDirection, this.vocabSet),
+            queue: this.cramQueue.map(c => this.cardRef(c.word, c.direction, c.vocabSet)),
+            answers: this.answers,
+            reviewsSinceNew: this.reviewsSinceNew,
+            elapsedMs: this.elapsed()
+        } : null;
+        try {
+            await this.app.storage.saveProgress(`${this.app.userId}:session`, data);
+        } catch (e) {
+            console.warn('Could not save the session checkpoint', e);
+        }
+    }
+
+    restore(checkpoint) {
+        this.answers = Array.isArray(checkpoint.answers) ? checkpoint.answers.slice() : [];
+        if (!this.cram) {
+            this.answers.forEach(a => {
+                const card = this.findCard(a);
+                if (card) this.answeredWords.set(card.word, card.direction);
+            });
+        }
+        this.reviewsSinceNew = checkpoint.reviewsSinceNew || 0;
+        this.elapsedBefore = checkpoint.elapsedMs || 0;
+        if (this.cram) this.cramQueue = (checkpoint.queue || []).map(ref => this.findCard(ref)).filter(Boolean);
+        // words removed from the deck since the checkpoint are skipped
+        const current = this.findCard(checkpoint.current);
+        if (current) this.showCard(Object.assign(current, { queue: current.word.statsFor(current.direction).queue() }));
+        else this.nextWord();
+    }
+
+    done(vocabSet, queue) {
+        const counts = this.doneToday.get(vocabSet.id);
+        return counts ? counts[queue] || 0 : 0;
+    }
+
+    // Learning cards are never held back; new cards and reviews stop at the set's daily limit
+    withinLimit(vocabSet, queue) {
+        if (queue === 'learning') return true;
+        const limits = this.app.deckLimits(vocabSet.id);
+        return this.done(vocabSet, queue) < (queue === 'new' ? limits.newPerDay : limits.reviewsPerDay);
+    }
+
+    /** Cards left today per queue: due cards, capped by what each set's limits still allow. */
+    remainingCounts() {
+        const now = Date.now();
+        const learnAheadUntil = now + LEARN_AHEAD_MS;
+        const total = { new: 0, learning: 0, review: 0 };
+        for (const vocabSet of this.vocabSets) {
+            const due = { new: 0, learning: 0, review: 0 };
+            for (const word of vocabSet.words) {
+                for (const direction of this.directions) {
+                    if (!this.includes(word, direction, vocabSet)) continue;
+                    const stats = word.statsFor(direction);
+                    const queue = stats.queue();
+                    if (stats.dueDate <= (queue === 'learning' ? learnAheadUntil : now)) due[queue]++;
+                }
+            }
+            const limits = this.app.deckLimits(vocabSet.id);
+            total.new += Math.min(due.new, Math.max(0, limits.newPerDay - this.done(vocabSet, 'new')));
+            total.review += Math.min(due.review, Math.max(0, limits.reviewsPerDay - this.done(vocabSet, 'review')));
+            total.learning += due.learning;
+        }
+        return total;
+    }
+
+    // With nothing else left, the learning card due soonest comes back now instead of ending the session
+    learnAhead() {
+        const limit = Date.now() + LEARN_AHEAD_MS;
+        let best = null;
+        for (const vocabSet of this.vocabSets) {
+            for (const word of vocabSet.words) {
+                for (const direction of this.directions) {
+                    if (!this.includes(word, direction, vocabSet)) continue;
+                    const stats = word.statsFor(direction);
+                    if (stats.queue() !== 'learning' || stats.dueDate > limit) continue;
+                    if (!best || stats.dueDate < best.word.statsFor(best.direction).dueDate) best = { word, direction, vocabSet, queue: 'learning' };
+                }
+            }
+        }
+        return best;
+    }
+
+    // Learning cards first, then new cards and reviews in the order chosen in settings
+    pickCard() {
+        const buryAnswered = this.directions.length > 1;
+        const next = queue => this.app.learningEngine.getNextCard(this.vocabSets, this.directions, (word, direction, vocabSet) =>
+            word.statsFor(direction).queue() !== queue
+            || !this.withinLimit(vocabSet, queue)
+            || !this.includes(word, direction, vocabSet)
+            || (buryAnswered && this.answeredWords.has(word) && this.answeredWords.get(word) !== direction));
+        const learning = next('learning');
+        if (learning) return Object.assign(learning, { queue: 'learning' });
+        const review = next('review');
+        const fresh = next('new');
+        if (!review && !fresh) return this.learnAhead();
+        if (!review || !fresh) return review ? Object.assign(review, { queue: 'review' }) : Object.assign(fresh, { queue: 'new' });
+        let takeNew = this.app.settings.newCardOrder === 'new-first';
+        if (this.app.settings.newCardOrder === 'mix') {
+            // spread the remaining new cards evenly between the remaining reviews
+            const left = this.remainingCounts();
+            takeNew = this.reviewsSinceNew >= Math.floor(left.review / (left.new + 1));
+        }
+        return takeNew ? Object.assign(fresh, { queue: 'new' }) : Object.assign(review, { queue: 'review' });
+    }
+
+    // Every matching card once, shuffled; cards answered wrong go to the back of the queue
+    buildCramQueue() {
+        const cards = [];
+        for (const vocabSet of this.vocabSets) {
+            for (const word of vocabSet.words) {
+                this.directions.forEach(direction => {
+                    if (this.includes(word, direction, vocabSet)) cards.push({ word, direction, vocabSet });
+                });
+            }
+        }
+        return cards.map(c => [Math.random(), c]).sort((a, b) => a[0] - b[0]).map(p => p[1]);
+    }
+
+    nextWord() {
+        this.showCard(this.cram ? this.cramQueue.shift() || null : this.pickCard());
+    }
+
+    showCard(card) {
+        if (card && !this.cram) this.currentQueue = card.queue;
+        this.currentWord = card ? card.word : null;
+        if (card) this.vocabSet = card.vocabSet;
+        this.currentDirection = card ? card.direction : 'forward';
+        this.promptField = this.currentDirection === 'reverse' ? 'native' : 'target';
+        this.answerField = this.currentDirection === 'reverse' ? 'target' : 'native';
+        this.showingAnswer = false;
+        this.feedback = null;
+        this.choices = this.currentWord && this.mode === 'choice' ? this.buildChoices(this.currentWord) : [];
+        this.shownAt = Date.now();
+    }
+
+    // The correct answer plus up to three distractors from the same set, preferring words that share a tag
+    buildChoices(word, count = 4) {
+        const answer = word[this.answerField];
+        const seen = new Set([AnswerMatcher.normalize(answer)]);
+        const pool = this.vocabSet.words.filter(w => w !== word && w[this.answerField]);
+        const shuffle = arr => arr.map(v => [Math.random(), v]).sort((a, b) => a[0] - b[0]).map(p => p[1]);
+        const related = shuffle(pool.filter(w => (w.tags || []).some(t => (word.tags || []).includes(t))));
+        const others = shuffle(pool.filter(w => !related.includes(w)));
+        const distractors = [];
+        for (const w of related.concat(others)) {
+            const key = AnswerMatcher.normalize(w[this.answerField]);
+            if (seen.has(key)) continue;
+            seen.add(key);
+            distractors.push(w[this.answerField]);
+            if (distractors.length === count - 1) break;
+        }
+        return shuffle([answer, ...distractors]);
+    }
+
+    renderSession() {
+        const mainContent = document.getElementById('main-content');
+        const handlers = {
+            endSession: () => this.app.endSession(),
+            undo: () => this.undo(),
+            showAnswer: () => this.showAnswer(),
+            grade: el => this.grade(parseInt(el.dataset.quality, 10)),
+            choose: el => this.submitChoice(parseInt(el.dataset.choice, 10)),
+            submitTyped: form => this.submitTyped(form.elements.answer.value),
+            speakWord: () => this.app.playWord(this.currentWord, this.vocabSet),
+            speakExample: el => this.app.playExample(this.currentWord.examples[parseInt(el.dataset.example, 10)], this.vocabSet)
+        };
+        if (!this.currentWord) {
+            this.renderSummary(mainContent, handlers);
+            return;
+        }
+        const word = this.currentWord;
+        const revealed = this.showingAnswer || this.feedback;
+        // on reverse cards the pronunciation, transliteration and image alt text would give the answer away
+        const showTargetAids = this.currentDirection === 'forward' || revealed;
+        const answerName = this.answerField === 'native' ? 'translation' : 'word';
+        View.render(mainContent, html`
+            <h2>${this.cram ? 'Cram Session' : 'Learning Session'}</h2>
+            ${this.cram ? html`<p class="muted">Practice only: your review schedule is not changed. ${this.cramQueue.length} left after this card.</p>` : this.renderCounts()}
+            <div class="card" id="session-view" role="region" aria-label="Flashcard">
+                ${this.vocabSets.length > 1 ? html`<p class="muted session-set">${this.vocabSet.name}</p>` : ''}
+                ${this.directions.length > 1 ? html`<p class="muted card-direction">${this.currentDirection === 'reverse' ? 'Recall the word' : 'Recall the meaning'}</p>` : ''}
+                <h3>${word[this.promptField]} ${showTargetAids ? this.renderSpeakButton() : ''}</h3>
+                ${word.transliteration && showTargetAids ? html`<p class="transliteration">${word.transliteration}</p>` : ''}
+                ${word.image && View.safeUrl(word.image) ? html`<div class="word-image"><img src="${View.safeUrl(word.image)}" alt="${showTargetAids ? word.target : word.native}" style="max-width:200px;max-height:200px;"/></div>` : ''}
+                ${this.mode === 'typing' && !this.feedback ? html`
+                    <form id="typing-form" class="typing-form" data-on-submit="submitTyped">
+                        <input type="text" name="answer" id="typing-input" autocomplete="off" autocapitalize="off" spellcheck="false" placeholder="Type the ${answerName}" aria-label="Type the ${answerName}" data-autofocus>
+                        <button type="submit">Check</button>
+                    </form>` : ''}
+                ${this.mode === 'choice' && !this.feedback ? html`
+                    <div class="choice-buttons" role="group" aria-label="Choose the answer">${this.choices.map((c, i) => html`<button class="choice-btn" data-on-click="choose" data-choice="${i}" aria-keyshortcuts="${i + 1}" ${i === 0 ? html`data-autofocus` : ''}><kbd>${i + 1}</kbd> ${c}</button>`)}</div>` : ''}
+                ${this.feedback ? this.renderFeedback() : ''}
+                ${revealed ? html`
+                    <p><strong>${this.answerField === 'native' ? 'Translation' : 'Word'}:</strong> ${word[this.answerField]}</p>
+                    ${TagFilter.tagsOf(word).length ? html`<p><strong>Tags:</strong> ${TagFilter.tagsOf(word).map(t => html`<span class="tag">${t}</span> `)}</p>` : ''}
+                    <p><strong>Examples:</strong></p>
+                    <ul>${word.examples.map((ex, i) => html`<li>${ex}${this.app.canSpeak(this.vocabSet) ? html` <button class="speak-btn speak-example" data-on-click="speakExample" data-example="${i}" aria-label="Play example">🔊</button>` : ''}</li>`)}</ul>
+                ` : ''}
+                ${this.feedback ? html`<button id="continue-btn" data-on-click="grade" data-quality="${this.feedback.quality}" aria-keyshortcuts="Space Enter" data-autofocus>Continue</button>` : ''}
+                ${this.mode === 'flip' ? (this.showingAnswer ? html`
+                    <div class="grade-buttons" role="group" aria-label="How well did you remember?">
+                        ${SM2_GRADES.map((g, i) => html`<button class="grade-btn grade-${g.label.toLowerCase()}" data-on-click="grade" data-quality="${g.quality}" aria-keyshortcuts="${i + 1}" ${g.quality === 4 ? html`data-autofocus` : ''}><kbd>${i + 1}</kbd> ${g.label}${this.cram ? '' : html` <small>${this.formatPreview(this.app.learningEngine.preview(word, g.quality, this.currentDirection))}</small>`}</button> `)}
+                    </div>
+                ` : html`<button data-on-click="showAnswer" aria-keyshortcuts="Space Enter" data-autofocus>Show Answer</button>`) : ''}
+            </div>
+            <button data-on-click="endSession" aria-keyshortcuts="Escape">End Session</button>
+            <button data-on-click="undo" aria-keyshortcuts="U" ${this.undoStack.length ? '' : html`disabled`}>Undo</button>
+            <p class="muted shortcuts">${this.shortcutHints()}</p>
+        `, handlers);
+        // every rerender replaces the controls: move focus to the one the learner needs next
+        const focusTarget = mainContent.querySelector('[data-autofocus]');
+        if (focusTarget) focusTarget.focus();
+        this.app.announce(this.describeCard(revealed));
+    }
+
+    /** Totals for this session's answers; card lists hold { word, direction, vocabSet, answer } (its last answer). */
+    summary() {
+        const cards = new Map(); // card key -> last answer for that card
+        for (const a of this.answers) {
+            const card = this.findCard(a);
+            if (card) cards.set(LearningSession.cardKey(a), Object.assign(card, { answer: a }));
+        }
+        const unique = Array.from(cards.values());
+        const correct = this.answers.filter(a => a.grade >= 3).length;
+        const keysWhere = test => new Set(this.answers.filter(test).map(LearningSession.cardKey));
+        const missed = keysWhere(a => a.grade < 3);
+        const lapsed = keysWhere(a => a.lapsed);
+        const leeches = keysWhere(a => a.leech);
+        // cards first seen as new that have left the learning steps (relearned lapses don't count)
+        const graduated = keysWhere(a => a.queue === 'new');
+        const pick = keys => unique.filter(c => keys.has(LearningSession.cardKey(c.answer)));
+        return {
+            reviewed: this.answers.length,
+            accuracy: this.answers.length ? correct / this.answers.length : null,
+            averageResponseMs: this.answers.length ? this.answers.reduce((sum, a) => sum + (a.responseMs || 0), 0) / this.answers.length : null,
+            elapsedMs: this.elapsed(),
+            cards: unique,
+            // suspended leeches stay out of the re-study session too
+            missed: pick(missed).filter(c => !c.word.statsFor(c.direction).suspended),
+            lapsed: pick(lapsed),
+            leeches: pick(leeches),
+            graduated: this.cram ? [] : pick(graduated).filter(c => c.word.statsFor(c.direction).queue() === 'review')
+        };
+    }
+
+    renderSummary(mainContent, handlers) {
+        const summary = this.summary();
+        const now = Date.now();
+        const wordList = cards => cards.map(c => c.word.target).join(', ');
+        // soonest first; cram answers leave the schedule alone so there is nothing new to show
+        const upcoming = this.cram ? [] : summary.cards.slice().sort((a, b) => a.word.statsFor(a.direction).dueDate - b.word.statsFor(b.direction).dueDate);
+        const dueIn = c => {
+            const due = c.word.statsFor(c.direction).dueDate;
+            return due <= now ? 'now' : `in ${this.formatPreview({ minutes: (due - now) / MINUTE_MS })}`;
+        };
+        // a combined session can turn up leeches in several dictionaries; each gets its own button
+        const leechSets = Array.from(new Set(summary.leeches.map(c => c.vocabSet)));
+        Object.assign(handlers, {
+            leeches: el => this.app.showLeeches(el.dataset.id),
+            restudyMissed: () => this.app.startSession(Array.from(new Set(summary.missed.map(c => c.vocabSet.id))), {
+                mode: this.mode,
+                direction: this.directionId,
+                cram: true,
+                cards: summary.missed.map(c => c.answer)
+            })
+        });
+        View.render(mainContent, html`
+            <div id="session-view" class="session-summary">
+                <h2>Session Complete!</h2>
+                ${summary.reviewed ? html`
+                    <table class="summary-metrics">
+                        <tr><th>Cards reviewed</th><td>${summary.reviewed}</td></tr>
+                        <tr><th>Accuracy</th><td>${Math.round(summary.accuracy * 100)}%</td></tr>
+                        <tr><th>Average response</th><td>${(summary.averageResponseMs / 1000).toFixed(1)} s</td></tr>
+                        <tr><th>Time</th><td>${Math.max(1, Math.round(summary.elapsedMs / MINUTE_MS))} min</td></tr>
+                    </table>
+                    ${summary.lapsed.length ? html`<p><strong>Lapsed (${summary.lapsed.length}):</strong> ${wordList(summary.lapsed)}</p>` : ''}
+                    ${summary.leeches.length ? html`<p><strong>New leeches (${summary.leeches.length}):</strong> ${wordList(summary.leeches)}
+                        ${leechSets.map(vs => html` <button data-on-click="leeches" data-id="${vs.id}">Review leeches${leechSets.length > 1 ? html` in ${vs.name}` : ''}</button>`)}</p>` : ''}
+                    ${summary.graduated.length ? html`<p><strong>Newly graduated (${summary.graduated.length}):</strong> ${wordList(summary.graduated)}</p>` : ''}
+                    ${upcoming.length ? html`
+                        <h3>Next due</h3>
+                        <table class="summary-due">${upcoming.map(c => html`<tr><td>${c.word.target}${c.direction === 'reverse' ? ' ←' : ''}</td><td>${c.word.native}</td><td>${dueIn(c)}</td></tr>`)}</table>` : ''}
+                ` : html`<p>All words reviewed.</p>`}
+                <p>
+                    ${summary.missed.length ? html`<button data-on-click="restudyMissed">Re-study ${summary.missed.length} missed word${summary.missed.length === 1 ? '' : 's'}</button>` : ''}
+                    <button data-on-click="endSession" data-autofocus>Back to Main</button>
+                    ${this.undoStack.length ? html`<button data-on-click="undo" aria-keyshortcuts="U">Undo last answer</button>` : ''}
+                </p>
+            </div>
+        `, handlers);
+        this.app.announce(summary.reviewed
+            ? `Session complete. ${summary.reviewed} cards reviewed, ${Math.round(summary.accuracy * 100)} percent correct.`
+            : 'Session complete. All words reviewed.');
+        mainContent.querySelector('[data-autofocus]').focus();
+    }
+
+    // Text for the screen reader live region: the prompt, then the answer once revealed
+    describeCard(revealed) {
+        const word = this.currentWord;
+        const prompt = `${this.currentDirection === 'reverse' ? 'Meaning' : 'Word'}: ${word[this.promptField]}`;
+        if (!revealed) return prompt;
+        const verdict = this.feedback ? `${this.feedback.verdict === 'exact' ? 'Correct' : this.feedback.verdict === 'close' ? 'Almost' : 'Not quite'}. ` : '';
+        return `${verdict}${this.answerField === 'native' ? 'Translation' : 'Word'}: ${word[this.answerField]}${word.transliteration && this.answerField === 'target' ? ` (${word.transliteration})` : ''}`;
+    }
+
+    shortcutHints() {
+        const hints = [];
+        if (this.feedback) hints.push('Space: continue');
+        else if (this.mode === 'flip') hints.push(this.showingAnswer ? '1–4: grade' : 'Space: show answer');
+        else if (this.mode === 'choice') hints.push(`1–${this.choices.length}: choose`);
+        hints.push('P: play audio');
+        if (this.undoStack.length) hints.push('U: undo');
+        hints.push('Esc: end session');
+        return hints.join(' · ');
+    }
+
+    /**
+     * Session keyboard shortcuts; returns true when the key was handled. Space/Enter reveal or
+     * continue, 1-4 grade (or pick a choice), P plays the word, U undoes the last answer
+     * and Esc ends the session.
+     */
+    handleKey(ev) {
+        if (ev.ctrlKey || ev.metaKey || ev.altKey || ev.repeat) return false;
+        if (ev.key === 'Escape') { this.app.endSession(); return true; }
+        // let text fields keep their keys (typing mode answers, the Anki-style Enter to submit)
+        if (ev.target && /^(INPUT|TEXTAREA|SELECT)$/.test(ev.target.tagName)) return false;
+        const key = ev.key === ' ' ? 'Space' : ev.key.toLowerCase();
+        if (key === 'u') { this.undo(); return true; }
+        if (!this.currentWord || this.grading) return false;
+        const revealed = this.showingAnswer || this.feedback;
+        if (key === 'p') {
+            // on reverse cards the audio would give the answer away
+            if (this.currentDirection === 'forward' || revealed) this.app.playWord(this.currentWord, this.vocabSet);
+            return true;
+        }
+        if (this.feedback) {
+            if (key !== 'Space' && key !== 'enter') return false;
+            this.grade(this.feedback.quality);
+            return true;
+        }
+        const digit = /^[1-9]$/.test(key) ? parseInt(key, 10) : 0;
+        if (this.mode === 'choice' && digit && digit <= this.choices.length) { this.submitChoice(digit - 1); return true; }
+        if (this.mode !== 'flip') return false;
+        if (!this.showingAnswer && (key === 'Space' || key === 'enter')) { this.showAnswer(); return true; }
+        if (this.showingAnswer && digit && digit <= SM2_GRADES.length) { this.grade(SM2_GRADES[digit - 1].quality); return true; }
+        return false;
+    }
+
+    renderCounts() {
+        const left = this.remainingCounts();
+        const item = (queue, label) => html`<span class="count-${queue}${queue === this.currentQueue ? ' count-current' : ''}">${label} ${left[queue]}</span>`;
+        return html`<p class="session-counts" aria-label="Cards left today">${item('new', 'New')} · ${item('learning', 'Learning')} · ${item('review', 'Review')}</p>`;
+    }
+
+    // In-app audio when available; otherwise keep the Google Translate link as the way to hear the word
+    renderSpeakButton() {
+        if (this.currentWord.audio || this.app.canSpeak(this.vocabSet)) return html`<button class="speak-btn speak-word" data-on-click="speakWord" aria-label="Play pronunciation">🔊</button>`;
+        return html`<span class="gt-anchor-wrapper" style="margin-left:8px;">${this.app.googleTranslateAnchor(this.currentWord.target, this.vocabSet.language || 'auto')}</span>`;
+    }
+
+    renderFeedback() {
+        const { verdict, given } = this.feedback;
+        const label = verdict === 'exact' ? 'Correct!' : verdict === 'close' ? 'Almost — check the spelling.' : 'Not quite.';
+        return html`<p class="answer-feedback feedback-${verdict}"><strong>${label}</strong>${given ? ` You answered: ${given}` : ''}</p>`;
+    }
+
+    // Exact answers grade Good, answers within typo tolerance Hard, anything else Again
+    submitTyped(input) {
+        const word = this.currentWord;
+        // Thai script is hard to type on many keyboards: accept the transliteration for the target side
+        const expected = this.answerField === 'target' ? [word.target, word.transliteration] : [word.native];
+        const verdict = AnswerMatcher.check(input, expected);
+        this.feedback = { verdict, given: input, quality: verdict === 'exact' ? 4 : verdict === 'close' ? 3 : 1 };
+        this.renderSession();
+    }
+
+    submitChoice(index) {
+        const given = this.choices[index];
+        const correct = AnswerMatcher.normalize(given) === AnswerMatcher.normalize(this.currentWord[this.answerField]);
+        this.feedback = { verdict: correct ? 'exact' : 'wrong', given: correct ? '' : given, quality: correct ? 4 : 1 };
+        this.renderSession();
+    }
+
+    showAnswer() { this.showingAnswer = true; this.renderSession(); }
+    formatInterval(days) { return days < 30 ? `${days}d` : days < 365 ? `${Math.round(days / 30)}mo` : `${(days / 365).toFixed(1)}y`; }
+    // Next review from LearningEngine.preview(): minutes while in learning steps, otherwise days
+    formatPreview(next) {
+        if (next.minutes === undefined) return this.formatInterval(next.interval);
+        return next.minutes < 60 ? `${Math.round(next.minutes)}m` : next.minutes < 1440 ? `${Math.round(next.minutes / 60)}h` : `${Math.round(next.minutes / 1440)}d`;
+    }
+    // Kept for callers that only know right/wrong
+    markCorrect(correct) { return this.grade(correct ? 4 : 1); }
+    // Ignores a second answer (double click, key press) while the first one is still being saved
+    async grade(quality) {
+        if (this.grading) return;
+        this.grading = true;
+        try {
+            await this.applyGrade(quality);
+        } finally {
+            this.grading = false;
+        }
+    }
+
+    async applyGrade(quality) {
+        const correct = quality >= 3;
+        const word = this.currentWord;
+        const direction = this.currentDirection;
+        this.pushUndo();
+        const stats = word.statsFor(direction);
+        const queue = stats.queue();
+        const answer = Object.assign(this.cardRef(word, direction, this.vocabSet), { queue, grade: quality, responseMs: Date.now() - this.shownAt });
+        this.answers.push(answer);
+        if (this.cram) {
+            if (!correct) this.cramQueue.push({ word, direction, vocabSet: this.vocabSet });
+            this.nextWord();
+            this.renderSession();
+            await this.checkpoint();
+            return;
+        }
+        const before = stats.toJSON();
+        this.answeredWords.set(word, direction);
+        if (!this.doneToday.has(this.vocabSet.id)) this.doneToday.set(this.vocabSet.id, { new: 0, learning: 0, review: 0 });
+        this.doneToday.get(this.vocabSet.id)[queue]++;
+        if (queue === 'review') this.reviewsSinceNew++;
+        else if (queue === 'new') this.reviewsSinceNew = 0;
+        this.app.learningEngine.review(word, quality, direction);
+        answer.lapsed = stats.lapses > (before.lapses || 0);
+        if (answer.lapsed && this.app.handleLeech(word, direction)) answer.leech = true;
+        this.app.userProgress.updateStats(correct);
+        const event = {
+            at: stats.lastReviewed,
+            wordId: this.app.getWordKey(word),
+            vocabId: this.vocabSet.id,
+            direction,
+            queue,
+            grade: quality,
+            responseMs: Date.now() - this.shownAt,
+            intervalBefore: before.lastReviewed === null ? null : before.interval,
+            intervalAfter: stats.interval,
+            elapsedDays: before.lastReviewed === null ? null : (stats.lastReviewed - before.lastReviewed) / DAY_MS,
+            scheduler: this.app.learningEngine.algorithm
+        };
+        this.undoStack[this.undoStack.length - 1].event = event;
+        await this.app.history.record(event);
+
+        const vocabKey = this.vocabSet.id || this.app.currentlyLoadedPath || '';
+        if (!this.app.vocabProgress.has(vocabKey)) this.app.vocabProgress.set(vocabKey, new Set());
+        if (correct) this.app.vocabProgress.get(vocabKey).add(this.app.getWordKey(this.currentWord) || `word-${Date.now()}`);
+        await this.persist(vocabKey);
+        this.nextWord();
+        this.renderSession();
+        await this.checkpoint();
+    }
+
+    // Save the set's learned ids and word schedules (mirrored under its manifest path) and the totals
+    async persist(vocabKey) {
+        try {
+            const s = this.app.vocabProgress.get(vocabKey) || new Set();
+            await this.app.saveVocabProgressForKey(vocabKey);
+            // also mirror progress under original path if we know it
+            try {
+                const p = this.app.vocabPathForId.get(vocabKey);
+                if (p) {
+                    this.app.vocabProgress.set(p, s);
+                    await this.app.saveVocabProgressForKey(p);
+                }
+            } catch (e) { /* ignore */ }
+        } catch (e) {
+            console.warn('Failed to update vocab progress', e);
+        }
+
+        await this.app.saveProgress();
+        this.app.sync.schedulePush();
+    }
+
+    // Everything an answer changes, captured before it is applied
+    pushUndo() {
+        const word = this.currentWord;
+        const direction = this.currentDirection;
+        const vocabKey = this.vocabSet.id || this.app.currentlyLoadedPath || '';
+        const learned = this.app.vocabProgress.get(vocabKey);
+        const done = this.doneToday.get(this.vocabSet.id);
+        this.undoStack.push({
+            word,
+            direction,
+            vocabSet: this.vocabSet,
+            queue: this.currentQueue,
+            shownAt: this.shownAt,
+            stats: direction === 'reverse' && !word.reverseStats ? null : word.statsFor(direction).toJSON(),
+            userStats: Object.assign({}, this.app.userProgress.stats),
+            wasLearned: learned instanceof Set && learned.has(this.app.getWordKey(word)),
+            answered: this.answeredWords.has(word) ? this.answeredWords.get(word) : null,
+            doneToday: done ? Object.assign({}, done) : null,
+            reviewsSinceNew: this.reviewsSinceNew,
+            cramQueue: this.cram ? this.cramQueue.slice() : null,
+            event: null // the logged review, set once recorded
+        });
+        if (this.undoStack.length > LearningSession.UNDO_LIMIT) this.undoStack.shift();
+    }
+
+    /**
+     * Take back the last answer: restore the word's stats, the progress totals, learned ids
+     * and today's counters, drop the logged review and show that card again. An answer that
+     * was already pushed to the sync server is not withdrawn there.
+     */
+    async undo() {
+        if (this.grading) return false;
+        const entry = this.undoStack.pop();
+        if (!entry) { this.app.showToast('Nothing to undo'); return false; }
+        const { word, direction, vocabSet } = entry;
+        this.vocabSet = vocabSet;
+        this.answers.pop();
+        if (entry.cramQueue) {
+            // cram answers change nothing but the queue
+            this.cramQueue = entry.cramQueue;
+        } else {
+            if (entry.stats) word.setStatsFor(direction, LearningStats.fromJSON(entry.stats));
+            else word.reverseStats = null;
+            this.app.userProgress.stats = entry.userStats;
+            const vocabKey = vocabSet.id || this.app.currentlyLoadedPath || '';
+            const learned = this.app.vocabProgress.get(vocabKey);
+            if (learned instanceof Set && !entry.wasLearned) learned.delete(this.app.getWordKey(word));
+            if (entry.answered === null) this.answeredWords.delete(word);
+            else this.answeredWords.set(word, entry.answered);
+            if (entry.doneToday) this.doneToday.set(vocabSet.id, entry.doneToday);
+            else this.doneToday.delete(vocabSet.id);
+            this.reviewsSinceNew = entry.reviewsSinceNew;
+            if (entry.event) await this.app.history.remove(entry.event);
+            await this.persist(vocabKey);
+        }
+        this.currentWord = word;
+        this.currentDirection = direction;
+        this.currentQueue = entry.queue;
+        this.promptField = direction === 'reverse' ? 'native' : 'target';
+        this.answerField = direction === 'reverse' ? 'target' : 'native';
+        this.showingAnswer = false;
+        this.feedback = null;
+        this.choices = this.mode === 'choice' ? this.buildChoices(word) : [];
+        this.shownAt = Date.now();
+        this.renderSession();
+        this.app.showToast('Answer undone');
+        await this.checkpoint();
+        return true;
+    }
+}
+LearningSession.UNDO_LIMIT = 50;
+// older checkpoints are dropped: learning steps and daily limits have moved on
+LearningSession.CHECKPOINT_MAX_AGE_MS = DAY_MS;
+
+/**
+ * Deck editor: edits a loaded VocabularySet in place (so word stats stay attached) and saves
+ * the result locally. Manifest dictionaries are saved as a local copy that replaces the
+ * bundled file until reverted; imported and newly created dictionaries are updated directly.
+ */
+class DeckEditor {
+    constructor(app, vocabSet) {
+        this.app = app;
+        this.vocabSet = vocabSet;
+        this.editingIndex = null; // index into vocabSet.words, -1 for a new word
+        this.filter = '';
+    }
+
+    // Ids follow the importer's `<set id>-0001` pattern and are never reused within a set:
+    // `metadata.lastWordId` keeps the highest number seen, raised before a word is deleted
+    static reserveWordIds(vocabSet) {
+        const prefix = `${vocabSet.id}-`;
+        let n = Number(vocabSet.metadata.lastWordId) || 0;
+        vocabSet.words.forEach(w => {
+            const suffix = w.id && w.id.startsWith(prefix) ? Number(w.id.slice(prefix.length)) : NaN;
+            if (Number.isInteger(suffix) && suffix > n) n = suffix;
+        });
+        vocabSet.metadata.lastWordId = n;
+        return n;
+    }
+
+    static newWordId(vocabSet) {
+        const n = DeckEditor.reserveWordIds(vocabSet) + 1;
+        vocabSet.metadata.lastWordId = n;
+        return `${vocabSet.id}-${String(n).padStart(4, '0')}`;
+    }
+
+    static splitList(value, separator) {
+        return String(value || '').split(separator).map(s => s.trim()).filter(Boolean);
+    }
+
+    render() {
+        const vs = this.vocabSet;
+        const mainContent = document.getElementById('main-content');
+        const query = this.filter.toLowerCase();
+        const rows = vs.words.map((w, i) => ({ w, i })).filter(({ w }) => !query || `${w.target} ${w.native} ${w.transliteration || ''}`.toLowerCase().includes(query));
+        const metadata = Object.entries(vs.metadata).filter(([k, v]) => k !== 'lastWordId' && (v === null || typeof v !== 'object'));
+        View.render(mainContent, html`
+            <div class="card editor-view">
+                <h2>Edit ${vs.name}</h2>
+                <form id="set-form" data-on-submit="saveDetails">
+                    <p><label>Name <input type="text" name="name" value="${vs.name}" required></label>
+                        <label>Language <input type="text" name="language" size="6" value="${vs.language}"></label>
+                        <span class="muted">id: <code>${vs.id}</code></span></p>
+                    <table class="editor-metadata">
+                        ${metadata.map(([k, v]) => html`<tr><th>${k}</th><td><input type="text" data-meta="${k}" value="${v === null ? '' : v}"></td></tr>`)}
+                        <tr><th><input type="text" id="meta-new-key" placeholder="new field" size="10"></th><td><input type="text" id="meta-new-value"></td></tr>
+                    </table>
+                    <p class="muted">Clear a value to remove that metadata field.</p>
+                    <p><button type="submit">Save details</button></p>
+                </form>
+            </div>
+            ${this.editingIndex !== null ? this.renderWordForm() : ''}
+            <div class="card">
+                <h2>Words (${vs.words.length})</h2>
+                <p><button data-on-click="addWord">Add word</button> <input type="search" id="editor-filter" data-on-input="filter" placeholder="Filter" value="${this.filter}"></p>
+                <table class="editor-words">
+                    ${rows.map(({ w, i }) => html`<tr>
+                        <td>${w.target}</td><td class="muted">${w.transliteration || ''}</td><td>${w.native}</td>
+                        <td><button data-on-click="editWord" data-index="${i}">Edit</button> <button data-on-click="deleteWord" data-index="${i}">Delete</button></td>
+                    </tr>`)}
+                </table>
+            </div>
+            <div class="card">
+                ${this.app.importedSetIds.has(vs.id) ? html`<button data-on-click="deleteSet">Delete dictionary</button>` : ''}
+                ${this.app.editedSetIds.has(vs.id) ? html`<button data-on-click="revertSet">Revert to original</button>` : ''}
+                <button data-on-click="home">Back to Main</button>
+            </div>
+        `, {
+            saveDetails: form => this.saveDetails(form),
+            saveWord: form => this.saveWord(form),
+            addWord: () => { this.editingIndex = -1; this.render(); },
+            editWord: el => { this.editingIndex = parseInt(el.dataset.index, 10); this.render(); },
+            cancelWord: () => { this.editingIndex = null; this.render(); },
+            deleteWord: el => this.deleteWord(parseInt(el.dataset.index, 10)),
+            deleteSet: () => this.app.deleteSet(vs.id),
+            revertSet: () => this.app.revertEditedSet(vs.id),
+            filter: el => {
+                this.filter = el.value;
+                this.render();
+                const input = document.getElementById('editor-filter');
+                input.focus();
+                input.setSelectionRange(input.value.length, input.value.length);
+            }
+        });
+    }
+
+    renderWordForm() {
+        const w = this.editingIndex >= 0 ? this.vocabSet.words[this.editingIndex] : new Word('', '');
+        return html`
+            <div class="card">
+                <h2>${this.editingIndex >= 0 ? 'Edit word' : 'New word'}</h2>
+                <form id="word-form" class="word-form" data-on-submit="saveWord">
+                    <p><label>Word <input type="text" name="target" value="${w.target}" required></label></p>
+                    <p><label>Meaning <input type="text" name="native" value="${w.native}" required></label></p>
+                    <p><label>Transliteration <input type="text" name="transliteration" value="${w.transliteration || ''}"></label></p>
+                    <p><label>Examples (one per line)<br><textarea name="examples" rows="3">${(w.examples || []).join('\n')}</textarea></label></p>
+                    <p><label>Tags (comma separated) <input type="text" name="tags" value="${(w.tags || []).join(', ')}"></label></p>
+                    <p><label>Image URL <input type="text" name="image" value="${w.image || ''}"></label></p>
+                    <p><label>Audio URL <input type="text" name="audio" value="${w.audio || ''}"></label></p>
+                    ${w.id ? html`<p class="muted">id: <code>${w.id}</code></p>` : ''}
+                    <p><button type="submit">Save word</button> <button type="button" data-on-click="cancelWord">Cancel</button></p>
+                </form>
+            </div>
+        `;
+    }
+
+    async saveDetails(form) {
+        const vs = this.vocabSet;
+        const name = form.elements.name.value.trim();
+        if (!name) { this.app.showToast('Name is required'); return; }
+        vs.name = name;
+        vs.language = form.elements.language.value.trim() || 'unknown';
+        form.querySelectorAll('input[data-meta]').forEach(input => {
+            const key = input.getAttribute('data-meta');
+            const value = input.value.trim();
+            if (value) vs.metadata[key] = typeof vs.metadata[key] === 'number' && isFinite(Number(value)) ? Number(value) : value;
+            else delete vs.metadata[key];
+        });
+        const newKey = form.querySelector('#meta-new-key').value.trim();
+        const newValue = form.querySelector('#meta-new-value').value.trim();
+        if (newKey && newValue) vs.metadata[newKey] = newValue;
+        await this.save('Details saved');
+    }
+
+    async saveWord(form) {
+        const vs = this.vocabSet;
+        const target = form.elements.target.value.trim();
+        const native = form.elements.native.value.trim();
+        if (!target || !native) { this.app.showToast('Word and meaning are required'); return; }
+        const isNew = this.editingIndex < 0;
+        const word = isNew ? new Word(target, native) : vs.words[this.editingIndex];
+        // Words from older files may have no id and be keyed by their text; pin that key
+        // as the id before the text changes so saved progress stays attached
+        if (!word.id) word.id = isNew ? DeckEditor.newWordId(vs) : this.app.getWordKey(word);
+        word.target = target;
+        word.native = native;
+        word.transliteration = form.elements.transliteration.value.trim();
+        word.examples = DeckEditor.splitList(form.elements.examples.value, '\n');
+        word.tags = DeckEditor.splitList(form.elements.tags.value, ',');
+        word.image = form.elements.image.value.trim();
+        word.audio = form.elements.audio.value.trim();
+        if (isNew) vs.words.push(word);
+        this.editingIndex = null;
+        await this.save(isNew ? 'Word added' : 'Word saved');
+    }
+
+    async deleteWord(index) {
+        const word = this.vocabSet.words[index];
+        if (!word) return;
+        if (typeof confirm === 'function' && !confirm(`Delete "${word.target}"? Its learning progress is removed too.`)) return;
+        DeckEditor.reserveWordIds(this.vocabSet);
+        this.vocabSet.words.splice(index, 1);
+        const learned = this.app.vocabProgress.get(this.vocabSet.id);
+        if (learned instanceof Set) learned.delete(this.app.getWordKey(word));
+        if (this.editingIndex === index) this.editingIndex = null;
+        else if (this.editingIndex !== null && this.editingIndex > index) this.editingIndex--;
+        await this.save('Word deleted');
+    }
+
+    async save(message) {
+        const ok = await this.app.saveEditedSet(this.vocabSet);
+        this.app.showToast(ok ? message : 'Could not save changes');
+        this.render();
+    }
+}
+
+/**
+ * Read-only word list for one VocabularySet: search, sort, status filter and paging, with
+ * a detail panel showing a word's scheduling state and its review history.
+ */
+class WordBrowser {
+    constructor(app, vocabSet) {
+        this.app = app;
+        this.vocabSet = vocabSet;
+        this.query = '';
+        this.status = 'all';
+        this.sort = 'target';
+        this.descending = false;
+        this.page = 0;
+        this.selected = null; // Word shown in the detail panel
+    }
+
+    get cardDirection() {
+        return CARD_DIRECTIONS.find(d => d.id === this.app.settings.cardDirection) || CARD_DIRECTIONS[0];
+    }
+
+    // Schedule shown for a word: the studied direction, or with both directions the weaker card
+    // (never reviewed, else the shorter interval)
+    statsOf(word) {
+        const weight = s => (s.lastReviewed === null ? -1 : s.interval);
+        return this.cardDirection.directions.map(d => word.statsFor(d)).reduce((a, b) => (weight(b) < weight(a) ? b : a));
+    }
+
+    rows() {
+        const query = AnswerMatcher.normalize(this.query);
+        const sortKey = WordBrowser.SORTS.find(s => s.id === this.sort) || WordBrowser.SORTS[0];
+        const rows = this.vocabSet.words.filter(w => {
+            if (this.status !== 'all' && this.statsOf(w).status() !== this.status) return false;
+            return !query || [w.target, w.native, w.transliteration].some(f => f && AnswerMatcher.normalize(f).includes(query));
+        });
+        rows.sort((a, b) => {
+            const va = sortKey.value(a, this.statsOf(a));
+            const vb = sortKey.value(b, this.statsOf(b));
+            const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+            return this.descending ? -order : order;
+        });
+        return rows;
+    }
+
+    static formatDate(ts) {
+        return ts === null ? '—' : new Date(ts).toLocaleDateString();
+    }
+
+    static formatDays(days) {
+        return days === 1 ? '1 day' : `${Math.round(days * 10) / 10} days`;
+    }
+
+    render() {
+        const rows = this.rows();
+        const pages = Math.max(1, Math.ceil(rows.length / WordBrowser.PAGE_SIZE));
+        this.page = Math.min(this.page, pages - 1);
+        const pageRows = rows.slice(this.page * WordBrowser.PAGE_SIZE, (this.page + 1) * WordBrowser.PAGE_SIZE);
+        const mainContent = document.getElementById('main-content');
+        const wordId = this.selected && this.app.getWordKey(this.selected);
+        if (wordId) this.app.setRoute('word', { id: this.vocabSet.id, wordId });
+        else this.app.setRoute('words', { id: this.vocabSet.id });
+        View.render(mainContent, html`
+            <div class="card word-browser">
+                <h2>${this.vocabSet.name}</h2>
+                <p>
+                    <input type="search" id="browser-search" data-on-input="search" placeholder="Search word, meaning or transliteration" value="${this.query}">
+                    <select id="browser-status" data-on-change="status" aria-label="Status">${WordBrowser.STATUSES.map(s => html`<option value="${s}" ${s === this.status ? html`selected` : ''}>${s === 'all' ? 'All words' : s[0].toUpperCase() + s.slice(1)}</option>`)}</select>
+                </p>
+                <p class="muted">${rows.length} of ${this.vocabSet.words.length} words · schedule for ${this.cardDirection.label}</p>
+                <table class="word-table">
+                    <thead><tr>${WordBrowser.SORTS.map(s => html`<th><button class="sort-btn" data-on-click="sort" data-sort="${s.id}">${s.label}${s.id === this.sort ? (this.descending ? ' ▼' : ' ▲') : ''}</button></th>`)}<th>Status</th></tr></thead>
+                    <tbody>${pageRows.map(w => {
+                        const stats = this.statsOf(w);
+                        return html`<tr class="word-row${w === this.selected ? ' selected' : ''}" data-on-click="select" data-index="${this.vocabSet.words.indexOf(w)}">
+                            <td>${w.target}<br><small class="muted">${w.transliteration || ''}</small></td>
+                            <td>${w.native}</td>
+                            <td>${stats.lastReviewed === null ? '—' : WordBrowser.formatDate(stats.dueDate)}</td>
+                            <td>${stats.lastReviewed === null ? '—' : stats.easeFactor.toFixed(2)}</td>
+                            <td>${stats.attempts}</td>
+                            <td><span class="status status-${stats.status()}">${stats.status()}</span></td>
+                        </tr>`;
+                    })}</tbody>
+                </table>
+                ${pages > 1 ? html`<p class="pager">
+                    <button data-on-click="previousPage" ${this.page === 0 ? html`disabled` : ''}>Previous</button>
+                    Page ${this.page + 1} of ${pages}
+                    <button data-on-click="nextPage" ${this.page >= pages - 1 ? html`disabled` : ''}>Next</button>
+                </p>` : ''}
+            </div>
+            <div id="word-detail"></div>
+            <button data-on-click="home">Back to Main</button>
+        `, {
+            search: el => {
+                this.query = el.value;
+                this.page = 0;
+                this.render();
+                const input = document.getElementById('browser-search');
+                input.focus();
+                input.setSelectionRange(input.value.length, input.value.length);
+            },
+            status: el => { this.status = el.value; this.page = 0; this.render(); },
+            sort: el => {
+                const sort = el.dataset.sort;
+                this.descending = sort === this.sort ? !this.descending : false;
+                this.sort = sort;
+                this.render();
+            },
+            previousPage: () => { this.page--; this.render(); },
+            nextPage: () => { this.page++; this.render(); },
+            select: el => {
+                this.selected = this.vocabSet.words[parseInt(el.dataset.index, 10)];
+                this.render();
+            }
+        });
+        if (this.selected) this.renderDetail(this.selected);
+    }
+
+    async renderDetail(word) {
+        const container = document.getElementById('word-detail');
+        const wordId = this.app.getWordKey(word);
+        const directions = word.reverseStats ? Word.DIRECTIONS : ['forward'];
+        const statRow = (label, fn) => html`<tr><th>${label}</th>${directions.map(d => html`<td>${fn(word.statsFor(d))}</td>`)}</tr>`;
+        View.render(container, html`
+            <div class="card word-detail">
+                <h2>${word.target} <button class="speak-btn speak-word" data-on-click="speak" aria-label="Play pronunciation">🔊</button></h2>
+                ${word.transliteration ? html`<p class="transliteration">${word.transliteration}</p>` : ''}
+                <p>${word.native}</p>
+                ${TagFilter.tagsOf(word).length ? html`<p>${TagFilter.tagsOf(word).map(t => html`<span class="tag">${t}</span> `)}</p>` : ''}
+                <table class="word-stats">
+                    ${directions.length > 1 ? html`<tr><th></th>${directions.map(d => html`<th>${d === 'reverse' ? 'Meaning → Word' : 'Word → Meaning'}</th>`)}</tr>` : ''}
+                    ${statRow('Status', s => s.status())}
+                    ${statRow('Reviews', s => `${s.attempts} (${s.attempts ? Math.round((s.correct / s.attempts) * 100) : 0}% correct)`)}
+                    ${statRow('Last reviewed', s => WordBrowser.formatDate(s.lastReviewed))}
+                    ${statRow('Due', s => s.lastReviewed === null ? 'now (new)' : WordBrowser.formatDate(s.dueDate))}
+                    ${statRow('Interval', s => WordBrowser.formatDays(s.interval))}
+                    ${statRow('Ease', s => s.easeFactor.toFixed(2))}
+                    ${statRow('Repetitions', s => s.repetitions)}
+                    ${statRow('Lapses', s => s.lapses)}
+                    ${statRow('Suspended', s => s.suspended ? 'yes' : 'no')}
+                    ${statRow('Stability', s => s.stability ? WordBrowser.formatDays(s.stability) : '—')}
+                    ${statRow('Difficulty', s => s.difficulty ? s.difficulty.toFixed(1) : '—')}
+                </table>
+                <h3>History</h3>
+                <div id="word-history" class="muted">Loading…</div>
+                <p><button data-on-click="edit">Edit word</button></p>
+            </div>
+        `, {
+            speak: () => this.app.playWord(word, this.vocabSet),
+            edit: () => {
+                this.app.showEditor(this.vocabSet.id);
+                this.app.currentEditor.editingIndex = this.vocabSet.words.indexOf(word);
+                this.app.currentEditor.render();
+            }
+        });
+        let events = [];
+        try {
+            events = (await this.app.history.load(0)).filter(e => e.vocabId === this.vocabSet.id && e.wordId === wordId);
+        } catch (e) {
+            console.warn('Could not load word history', e);
+        }
+        const historyEl = document.getElementById('word-history');
+        if (!historyEl) return;
+        const grades = new Map(SM2_GRADES.map(g => [g.quality, g.label]));
+        View.render(historyEl, events.length ? html`<table class="word-history">${events.slice(-20).reverse().map(e => html`<tr>
+            <td>${new Date(e.at).toLocaleString()}</td>
+            <td>${e.direction === 'reverse' ? '←' : '→'}</td>
+            <td>${grades.get(e.grade) || String(e.grade)}</td>
+            <td>${WordBrowser.formatDays(e.intervalAfter)}</td>
+        </tr>`)}</table>` : html`No reviews yet.`);
+    }
+}
+WordBrowser.PAGE_SIZE = 50;
+WordBrowser.STATUSES = ['all', 'new', 'learning', 'mature'];
+WordBrowser.SORTS = [
+    { id: 'target', label: 'Word', value: w => w.target },
+    { id: 'native', label: 'Meaning', value: w => w.native },
+    // never-reviewed words sort after scheduled ones
+    { id: 'due', label: 'Due', value: (w, s) => (s.lastReviewed === null ? Infinity : s.dueDate) },
+    { id: 'ease', label: 'Ease', value: (w, s) => s.easeFactor },
+    { id: 'attempts', label: 'Reviews', value: (w, s) => s.attempts }
+];
+
+class VocabMaster {
+    constructor() {
+        this.vocabSets = new Map();
+        this.userProgress = new UserProgress();
+        this.learningEngine = new LearningEngine();
+        this.currentSession = null;
+        this.storage = IndexedDBStorage.isSupported() ? new IndexedDBStorage() : new SimpleStorage();
+        // Ensure a persistent local user identifier so progress can be shared between devices
+        this.userId = this.getOrCreateUserId();
+        // In-memory per-vocabulary learned word ids (populated from storage on init)
+        this.vocabProgress = new Map();
+        this.vocabPathForId = new Map();
+        // Ids of dictionaries imported by the user (persisted via storage.saveDeck)
+        this.importedSetIds = new Set();
+        // Manifest dictionaries replaced by a copy saved in the deck editor
+        this.editedSetIds = new Set();
+        // Per-user preferences, persisted under `${userId}:settings`
+        this.settings = { algorithm: 'sm2', syncUrl: '', sessionMode: 'flip', cardDirection: 'forward', speechRate: 0.9, newCardOrder: 'mix', deckLimits: {}, learningSteps: LearningEngine.DEFAULT_STEPS.learning, relearningSteps: LearningEngine.DEFAULT_STEPS.relearning, leechThreshold: 8, leechAction: 'suspend' };
+        // Identifies this browser inside a user's synced progress counters
+        this.deviceId = this.getOrCreateDeviceId();
+        this.sync = new SyncClient(this);
+        this.history = new ReviewHistory(this);
+        this.speech = new SpeechPlayer();
+    }
+
+    canSpeak(vocabSet) {
+        return this.speech.hasVoiceFor(vocabSet.language);
+    }
+
+    playWord(word, vocabSet) {
+        return this.speech.playWord(word, vocabSet.language, this.settings.speechRate).then((ok) => {
+            if (!ok) this.showToast('No voice available for this language');
+            return ok;
+        });
+    }
+
+    playExample(text, vocabSet) {
+        return this.speech.playExample(text, vocabSet.language, this.settings.speechRate);
+    }
+
+    async setSpeechRate(rate) {
+        const value = parseFloat(rate);
+        this.settings.speechRate = isFinite(value) ? Math.min(2, Math.max(0.5, value)) : 1;
+        await this.saveSettings();
+    }
+
+    getOrCreateDeviceId() {
+        try {
+            const key = 'vocabmaster:deviceId';
+            let id = localStorage.getItem(key);
+            if (!id) {
+                id = `d-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+                localStorage.setItem(key, id);
+            }
+            return id;
+        } catch (e) {
+            console.warn('Failed to get/create deviceId, falling back to default', e);
+            return 'default';
+        }
+    }
+
+    async setSyncUrl(url) {
+        this.settings.syncUrl = String(url || '').trim();
+        await this.saveSettings();
+        if (this.sync.enabled) await this.syncNow();
+        else this.renderUI();
+    }
+
+    async syncNow() {
+        if (!this.sync.enabled) { this.showToast('Set a sync server URL first'); return; }
+        const ok = await this.sync.sync();
+        this.showToast(ok ? 'Progress synced' : `Sync failed: ${this.sync.state.lastError}`);
+        if (!this.currentSession) this.renderUI();
+    }
+
+    /**
+     * Copy the per-user records sync does not carry (imported dictionaries, edited copies of
+     * bundled ones and the review history) from one user id to another. Records the target id
+     * already has win over the copies; history days are merged event by event.
+     */
+    async copyLocalData(fromId, toId) {
+        const ids = (await this.storage.loadDeck(`${fromId}:index`)) || [];
+        const targetIds = (await this.storage.loadDeck(`${toId}:index`)) || [];
+        for (const id of ids) {
+            // eslint-disable-next-line no-await-in-loop
+            const data = await this.storage.loadDeck(`${fromId}:${id}`);
+            // eslint-disable-next-line no-await-in-loop
+            if (!data || await this.storage.loadDeck(`${toId}:${id}`)) continue;
+            // eslint-disable-next-line no-await-in-loop
+            await this.storage.saveDeck(`${toId}:${id}`, data);
+            if (!targetIds.includes(id)) targetIds.push(id);
+        }
+        await this.storage.saveDeck(`${toId}:index`, targetIds);
+        for (const id of this.editedSetIds) {
+            // eslint-disable-next-line no-await-in-loop
+            const data = await this.storage.loadDeck(`${fromId}:edited:${id}`);
+            // eslint-disable-next-line no-await-in-loop
+            if (data && !(await this.storage.loadDeck(`${toId}:edited:${id}`))) await this.storage.saveDeck(`${toId}:edited:${id}`, data);
+        }
+        const days = (await this.storage.loadProgress(`${fromId}:history:index`)) || [];
+        const targetDays = (await this.storage.loadProgress(`${toId}:history:index`)) || [];
+        for (const day of days) {
+            // eslint-disable-next-line no-await-in-loop
+            const events = (await this.storage.loadProgress(`${fromId}:history:${day}`)) || [];
+            // eslint-disable-next-line no-await-in-loop
+            const merged = (await this.storage.loadProgress(`${toId}:history:${day}`)) || [];
+            const seen = new Set(merged.map(ev => `${ev.at}|${ev.wordId}|${ev.direction}`));
+            events.forEach(ev => { if (!seen.has(`${ev.at}|${ev.wordId}|${ev.direction}`)) merged.push(ev); });
+            merged.sort((a, b) => a.at - b.at);
+            // eslint-disable-next-line no-await-in-loop
+            await this.storage.saveProgress(`${toId}:history:${day}`, merged);
+            if (!targetDays.includes(day)) targetDays.push(day);
+        }
+        targetDays.sort();
+        await this.storage.saveProgress(`${toId}:history:index`, targetDays);
+    }
+
+    /**
+     * Switch this browser to the User ID of another device so both share one synced history.
+     * Progress, dictionaries and history recorded here so far are merged into the adopted id rather than dropped.
+     */
+    async adoptUserId(newId) {
+        newId = String(newId || '').trim();
+        if (!/^[\w-]{1,64}$/.test(newId)) { this.showToast('That does not look like a User ID'); return; }
+        if (newId === this.userId) return;
+        const localDoc = await this.sync.buildLocalDoc();
+        await this.copyLocalData(this.userId, newId);
+        try { localStorage.setItem('vocabmaster:userId', newId); } catch (e) { console.warn('Failed to store userId', e); }
+        this.userId = newId;
+        this.userProgress = new UserProgress();
+        await this.loadProgress();
+        await this.loadImportedSets().catch(e => console.warn('Could not load imported sets', e));
+        await this.sync.loadState();
+        await this.sync.applyDoc(localDoc);
+        await this.saveSettings();
+        await this.saveProgress();
+        if (this.sync.enabled) await this.syncNow();
+        else { this.showToast('User ID linked'); this.renderUI(); }
+    }
+
+    /** Statistics built from the review history and the current word schedules. */
+    async showStats() {
+        this.setRoute('stats');
         const mainContent = document.getElementById('main-content');
-        if (!this.currentWord) { mainContent.innerHTML = `<h2>Session Complete!</h2><p>All words reviewed.</p><button onclick="app.renderUI()">Back to Main</button>`; return; }
-        mainContent.innerHTML = `
-            <h2>Learning Session</h2>
+        const now = Date.now();
+        const events = await this.history.load(now - 365 * DAY_MS);
+        const daily = ReviewStats.dailyCounts(events, 30, now);
+        const retention = ReviewStats.retentionCurve(events);
+        const forecast = ReviewStats.forecast(Array.from(this.vocabSets.values()), 14, now);
+        const calendar = ReviewStats.dailyCounts(events, 7 * 16, now);
+        const streak = ReviewStats.streak(events, now);
+        const maxDaily = Math.max(1, ...daily.map(d => d.count));
+        const maxForecast = Math.max(1, ...forecast.map(d => d.count));
+        const maxCalendar = Math.max(1, ...calendar.map(d => d.count));
+        const bar = (value, max, title, label) => html`<div class="stats-bar" title="${title}"><span style="height:${Math.round(value / max * 100)}%"></span><small>${label}</small></div>`;
+        // pad the calendar so columns are whole weeks starting on Sunday
+        const lead = new Date(now - (calendar.length - 1) * DAY_MS).getDay();
+        const cells = Array.from({ length: lead }, () => html`<span class="streak-cell empty"></span>`).concat(calendar.map(d => {
+            const level = d.count === 0 ? 0 : Math.min(4, Math.ceil(d.count / maxCalendar * 4));
+            return html`<span class="streak-cell level-${level}" title="${d.day}: ${d.count} reviews"></span>`;
+        }));
+        const todayCount = daily[daily.length - 1].count;
+        const recallRate = events.length ? Math.round(events.filter(e => e.grade >= 3).length / events.length * 100) : 0;
+        View.render(mainContent, html`
             <div class="card">
-                <h3>${this.currentWord.target} <span class="gt-anchor-wrapper" style="margin-left:8px;">${this.app.googleTranslateAnchor(this.currentWord.target, this.vocabSet.language || 'auto')}</span></h3>
-                ${this.currentWord.transliteration ? `<p class="transliteration">${this.currentWord.transliteration}</p>` : ''}
-                ${this.currentWord.image ? `<div class="word-image"><img src="${this.currentWord.image}" alt="${this.currentWord.target}" style="max-width:200px;max-height:200px;"/></div>` : ''}
-                ${this.showingAnswer ? `
-                    <p><strong>Translation:</strong> ${this.currentWord.native}</p>
-                    ${this.currentWord.tags && this.currentWord.tags.length ? `<p><strong>Tags:</strong> ${this.currentWord.tags.map(t => `<span class="tag">${t}</span>`).join(' ')}</p>` : ''}
-                    <p><strong>Examples:</strong></p>
-                    <ul>${this.currentWord.examples.map(ex => `<li>${ex}</li>`).join('')}</ul>
-                    <button onclick="app.currentSession.markCorrect(true)">Correct</button>
-                    <button onclick="app.currentSession.markCorrect(false)">Incorrect</button>
-                ` : `<button onclick="app.currentSession.showAnswer()">Show Answer</button>`}
+                <h2>Statistics</h2>
+                <p>Today: <strong>${todayCount}</strong> reviews · Streak: <strong>${streak}</strong> day${streak === 1 ? '' : 's'} · Last year: ${events.length} reviews, ${recallRate}% recalled</p>
+            </div>
+            <div class="card">
+                <h3>Reviews per day (30 days)</h3>
+                <div class="stats-chart">${daily.map(d => bar(d.count, maxDaily, `${d.day}: ${d.count} reviews, ${d.correct} correct`, d.day.slice(8)))}</div>
+            </div>
+            <div class="card">
+                <h3>Retention</h3>
+                <p class="muted">Share of reviews recalled, by days since the previous review.</p>
+                <div class="stats-chart">${retention.map(b => bar(b.rate === null ? 0 : b.rate * 100, 100, `${b.label}: ${b.count ? Math.round(b.rate * 100) + '%' : 'no data'} of ${b.count}`, b.label))}</div>
+            </div>
+            <div class="card">
+                <h3>Due forecast (14 days)</h3>
+                <div class="stats-chart">${forecast.map((d, i) => bar(d.count, maxForecast, `${d.day}: ${d.count} due`, i === 0 ? 'today' : d.day.slice(8)))}</div>
+                <p class="muted">Counts words you have reviewed in the dictionaries loaded now.</p>
+            </div>
+            <div class="card">
+                <h3>Activity</h3>
+                <div class="streak-calendar">${cells}</div>
+            </div>
+            <button data-on-click="home">Back to Main</button>
+        `);
+    }
+
+    renderSyncCard() {
+        const state = this.sync.state;
+        const status = !this.sync.enabled ? 'Not configured' : state.lastError ? `Last attempt failed: ${state.lastError}` : state.lastSyncedAt ? `Last synced ${new Date(state.lastSyncedAt).toLocaleString()}` : 'Not synced yet';
+        return html`
+            <div class="card sync-card">
+                <h2>Sync</h2>
+                <p class="muted">Share progress between devices through a sync server, keyed by your User ID.</p>
+                <p><label>Server URL <input type="url" id="sync-url" value="${this.settings.syncUrl || ''}" placeholder="http://localhost:8787"></label>
+                    <button data-on-click="saveSyncUrl">Save</button> ${this.sync.enabled ? html`<button data-on-click="syncNow">Sync now</button>` : ''}</p>
+                <p class="muted">${status}</p>
+                <p><label>Use the User ID from another device <input type="text" id="sync-user-id" size="24"></label> <button data-on-click="linkUserId">Link</button></p>
             </div>
-            <button onclick="app.renderUI()">End Session</button>
         `;
     }
-    showAnswer() { this.showingAnswer = true; this.renderSession(); }
-    async markCorrect(correct) {
-        this.currentWord.stats.calculateNextReview(correct);
-        this.app.userProgress.updateStats(correct);
 
-        // Update per-vocabulary learned ids when the user answers correctly
+    async loadSettings() {
         try {
-            if (correct) {
-                const vocabKey = this.vocabSet.id || this.app.currentlyLoadedPath || '';
-                const wordId = this.currentWord.id || this.currentWord.target || `word-${Date.now()}`;
-                if (!this.app.vocabProgress.has(vocabKey)) this.app.vocabProgress.set(vocabKey, new Set());
-                const s = this.app.vocabProgress.get(vocabKey);
-                s.add(wordId);
-                await this.app.saveVocabProgressForKey(vocabKey);
-                // also mirror progress under original path if we know it
-                try {
-                    const p = this.app.vocabPathForId.get(vocabKey);
-                    if (p) {
-                        this.app.vocabProgress.set(p, s);
-                        await this.app.saveVocabProgressForKey(p);
-                    }
-                } catch (e) { /* ignore */ }
-            }
+            const data = await this.storage.loadProgress(`${this.userId}:settings`);
+            if (data && typeof data === 'object') this.settings = Object.assign(this.settings, data);
         } catch (e) {
-            console.warn('Failed to update vocab progress', e);
+            console.warn('loadSettings failed', e);
         }
-
-        await this.app.saveProgress();
-        this.nextWord();
-        this.renderSession();
+        this.learningEngine.setAlgorithm(this.settings.algorithm);
+        this.learningEngine.setSteps(this.settings.learningSteps, this.settings.relearningSteps);
     }
 
-}
+    async saveSettings() {
+        await this.storage.saveProgress(`${this.userId}:settings`, this.settings);
+    }
 
-class VocabMaster {
-    constructor() {
-        this.vocabSets = new Map();
-        this.userProgress = new UserProgress();
-        this.learningEngine = new LearningEngine();
-        this.currentSession = null;
-        this.storage = new SimpleStorage();
-        // Ensure a persistent local user identifier so progress can be shared between devices
-        this.userId = this.getOrCreateUserId();
-        // In-memory per-vocabulary learned word ids (populated from storage on init)
-        this.vocabProgress = new Map();
-        this.vocabPathForId = new Map();
+    /** Switch the spaced-repetition scheduler for this user; existing word stats carry over. */
+    async setAlgorithm(name) {
+        this.learningEngine.setAlgorithm(name);
+        this.settings.algorithm = this.learningEngine.algorithm;
+        await this.saveSettings();
+        this.showToast(`Scheduler: ${(Scheduler.list().find(s => s.name === this.settings.algorithm) || {}).label || this.settings.algorithm}`);
     }
 
     getOrCreateUserId() {
@@ -280,15 +2989,14 @@ class VocabMaster {
     }
 
     /**
-     * Return an HTML anchor string that opens Google Translate for `text`.
+     * Return an html`` anchor that opens Google Translate for `text`.
      * Use this in templates next to displayed words to allow pronunciation.
      */
     googleTranslateAnchor(text, src = 'auto', tl = 'en', label = '🔊') {
         const url = this.googleTranslateUrl(text, src, tl);
-        // Use an onclick handler that will try to open the native app on mobile
-        // and fall back to the web URL. Keep the href present so non-JS or
-        // middle-click still work.
-        return `<a class="gt-link" href="${url}" onclick="app.openInGoogleTranslate(${JSON.stringify(text)}, ${JSON.stringify(src)}, ${JSON.stringify(tl)}); return false;" target="_blank" rel="noopener noreferrer" aria-label="Open in Google Translate">${label}</a>`;
+        // The app-wide openTranslate handler tries the native app on mobile and falls
+        // back to the web URL. Keep the href present so non-JS or middle-click still work.
+        return html`<a class="gt-link" href="${url}" data-on-click="openTranslate" data-text="${text}" data-src="${src}" data-tl="${tl}" target="_blank" rel="noopener noreferrer" aria-label="Open in Google Translate">${label}</a>`;
     }
 
     /**
@@ -340,8 +3048,13 @@ class VocabMaster {
     }
 
     async initialize() {
+        // Upgrade records from older storage schemas before anything reads them
+        await this.storage.migrate();
+        await this.loadSettings();
         // Try to load manifest and default to embedded sample if manifest unavailable
         await this.loadVocabManifest();
+        // user-imported dictionaries persisted in local storage
+        await this.loadImportedSets().catch(e => console.warn('Could not load imported sets', e));
         // try to load pre-generated summaries (generated by scripts/generate-vocab-summaries.js)
         await this.loadVocabSummaries();
         // load app version (from /VERSION when available)
@@ -359,9 +3072,19 @@ class VocabMaster {
             this.loadDefaultVocabulary();
         }
         await this.loadProgress();
-        
+        await this.sync.loadState();
+        await this.loadSessionCheckpoint();
+
         this.attachAutoSave();
-        this.renderUI();
+        this.attachInstallPrompt();
+        this.attachKeyboardShortcuts();
+        this.attachViewHandlers();
+        window.addEventListener('hashchange', () => this.route());
+        await this.route();
+        this.registerServiceWorker();
+        // pull changes from other devices in the background; refresh the home screen when done,
+        // but only if it is still shown (deep links, sessions and editors stay where they are)
+        if (this.sync.enabled) this.sync.sync().then(ok => { if (ok && !this.currentSession && document.querySelector('#main-content .sync-card')) this.renderUI(); });
     }
 
     /**
@@ -403,17 +3126,71 @@ class VocabMaster {
         }
     }
 
-    // Persist per-vocab learned ids under a namespaced key
+    // Stable key for a word inside its set; falls back to the target text for id-less words
+    getWordKey(word) {
+        return word ? (word.id || word.target || null) : null;
+    }
+
+    // Find a loaded vocab set by its id or by the manifest path it was loaded from
+    getVocabSetForKey(vocabKey) {
+        if (this.vocabSets.has(vocabKey)) return this.vocabSets.get(vocabKey);
+        for (const [id, p] of this.vocabPathForId) {
+            if (p === vocabKey && this.vocabSets.has(id)) return this.vocabSets.get(id);
+        }
+        return null;
+    }
+
+    // Snapshot of LearningStats for every reviewed card in a set, keyed by word id (see Word.statsKey for reverse cards)
+    collectWordStats(vocabSet) {
+        const out = {};
+        for (const word of vocabSet.words) {
+            const key = this.getWordKey(word);
+            if (!key) continue;
+            for (const direction of Word.DIRECTIONS) {
+                const stats = direction === 'reverse' ? word.reverseStats : word.stats;
+                if (stats && stats.lastReviewed !== null) out[Word.statsKey(key, direction)] = stats.toJSON();
+            }
+        }
+        return out;
+    }
+
+    applyWordStats(vocabSet, wordStats) {
+        if (!vocabSet || !wordStats || typeof wordStats !== 'object') return;
+        for (const word of vocabSet.words) {
+            const key = this.getWordKey(word);
+            if (!key) continue;
+            for (const direction of Word.DIRECTIONS) {
+                const stored = wordStats[Word.statsKey(key, direction)];
+                if (stored) word.setStatsFor(direction, LearningStats.fromJSON(stored));
+            }
+        }
+    }
+
+    // Persist per-vocab learned ids and word scheduling state under a namespaced key
     async saveVocabProgressForKey(vocabKey) {
         try {
             const set = this.vocabProgress.get(vocabKey) || new Set();
             const arr = Array.from(set);
-            await this.storage.saveProgress(`${this.userId}:vocab:${vocabKey}`, { learnedIds: arr });
+            const storageKey = `${this.userId}:vocab:${vocabKey}`;
+            const vocabSet = this.getVocabSetForKey(vocabKey);
+            let wordStats;
+            if (vocabSet) {
+                wordStats = this.collectWordStats(vocabSet);
+            } else {
+                // set not loaded in this session: keep whatever schedule was stored before
+                const previous = await this.storage.loadProgress(storageKey);
+                wordStats = (previous && previous.wordStats) || {};
+            }
+            await this.storage.saveProgress(storageKey, { schemaVersion: this.storage.schemaVersion, learnedIds: arr, wordStats });
         } catch (e) {
             console.warn('saveVocabProgressForKey failed', e);
         }
     }
 
+    /**
+     * Load the stored per-vocab record for a manifest path into `vocabProgress`.
+     * Returns the raw record (with `wordStats` when present) or null.
+     */
     async loadVocabProgressForPath(vocabPath) {
         // Try multiple candidate keys to be tolerant of path forms
         const candidates = [vocabPath];
@@ -426,8 +3203,9 @@ class VocabMaster {
             try {
                 const data = await this.storage.loadProgress(`${this.userId}:vocab:${c}`);
                 if (data && Array.isArray(data.learnedIds)) {
+                    if (data.schemaVersion > this.storage.schemaVersion) console.warn('Vocab progress was written by a newer build', c);
                     this.vocabProgress.set(vocabPath, new Set(data.learnedIds));
-                    return;
+                    return data;
                 }
             } catch (e) {
                 // ignore and continue
@@ -435,6 +3213,7 @@ class VocabMaster {
         }
         // nothing found -> initialize empty set for this path
         this.vocabProgress.set(vocabPath, new Set());
+        return null;
     }
 
     async loadVocabSummaries() {
@@ -473,17 +3252,11 @@ class VocabMaster {
             // clear in-memory
             this.userProgress = new UserProgress();
             this.vocabProgress = new Map();
+            for (const vs of this.vocabSets.values()) vs.words.forEach(w => { w.stats = new LearningStats(); w.reverseStats = null; });
 
-            // remove keys from localStorage that match our namespace
-            // We can't directly delete arbitrary keys from here in node; run in browser context
+            // remove stored progress records from whichever backend is active
             try {
-                // In browser: iterate localStorage and remove keys
-                for (let i = 0; i < localStorage.length; i++) {
-                    const key = localStorage.key(i);
-                    if (key && key.startsWith(this.storage.prefix + 'progress_')) {
-                        localStorage.removeItem(key);
-                    }
-                }
+                await this.storage.clearProgress();
             } catch (e) {
                 // fallback for environments where localStorage isn't available
                 // also remove namespaced progress via storage API
@@ -534,20 +3307,21 @@ class VocabMaster {
             const res = await fetch(path);
             if (!res.ok) throw new Error(`Vocab fetch failed: ${res.status}`);
             const data = await res.json();
-            const words = (data.words || []).map(w => {
-                const wd = new Word(w.target, w.native, w.examples || [], w.tags || [], w.transliteration || '', w.image || '');
-                // preserve id from source data if present
-                wd.id = w.id || null;
-                return wd;
-            });
-            const vocabSet = new VocabularySet(data.id || path, data.name || path, data.language || 'unknown', words);
+            // A copy saved by the deck editor takes the place of the bundled file
+            const edited = data.id ? await this.storage.loadDeck(`${this.userId}:edited:${data.id}`) : null;
+            const vocabSet = this.buildVocabSet(edited || data, path);
+            if (edited) this.editedSetIds.add(vocabSet.id);
+            else this.editedSetIds.delete(vocabSet.id);
             this.vocabSets.set(vocabSet.id, vocabSet);
             // remember original path for this vocab id so we can link progress by either id or path
             try { this.vocabPathForId.set(vocabSet.id, path); } catch (e) { /* ignore */ }
             // Track the currently loaded set by its id (not the file path)
             this.currentlyLoadedPath = vocabSet.id;
-            // Try to load any saved progress for this vocab id/path
-            try { await this.loadVocabProgressForPath(path); } catch (e) { /* ignore */ }
+            // Try to load any saved progress for this vocab id/path and restore word schedules
+            try {
+                const record = await this.loadVocabProgressForPath(path);
+                if (record) this.applyWordStats(vocabSet, record.wordStats);
+            } catch (e) { /* ignore */ }
             // if loading progress by path populated a set, also map it under the vocab id
             try {
                 const existing = this.vocabProgress.get(path);
@@ -560,6 +3334,471 @@ class VocabMaster {
         }
     }
 
+    // Build a VocabularySet (with fresh LearningStats) from its JSON file shape
+    buildVocabSet(data, fallbackId) {
+        const words = (data.words || []).map(w => {
+            const wd = new Word(w.target, w.native, w.examples || [], w.tags || [], w.transliteration || '', w.image || '', w.audio || '');
+            // preserve id from source data if present
+            wd.id = w.id || null;
+            return wd;
+        });
+        const vocabSet = new VocabularySet(data.id || fallbackId, data.name || fallbackId, data.language || 'unknown', words);
+        if (data.metadata && typeof data.metadata === 'object') Object.assign(vocabSet.metadata, data.metadata);
+        return vocabSet;
+    }
+
+    // Imported dictionaries: index of ids under `decks_<user>` plus one record per set
+    async loadImportedSets() {
+        this.importedSetIds = new Set();
+        const ids = (await this.storage.loadDeck(`${this.userId}:index`)) || [];
+        for (const id of ids) {
+            // eslint-disable-next-line no-await-in-loop
+            const data = await this.storage.loadDeck(`${this.userId}:${id}`);
+            if (!data) continue;
+            // eslint-disable-next-line no-await-in-loop
+            await this.registerImportedSet(data);
+        }
+    }
+
+    async registerImportedSet(data) {
+        const vocabSet = this.buildVocabSet(data, data.id);
+        this.vocabSets.set(vocabSet.id, vocabSet);
+        this.importedSetIds.add(vocabSet.id);
+        const record = await this.loadVocabProgressForPath(vocabSet.id);
+        if (record) this.applyWordStats(vocabSet, record.wordStats);
+        return vocabSet;
+    }
+
+    async saveImportedSet(data) {
+        await this.storage.saveDeck(`${this.userId}:${data.id}`, data);
+        this.importedSetIds.add(data.id);
+        await this.storage.saveDeck(`${this.userId}:index`, Array.from(this.importedSetIds));
+    }
+
+    showWordList(vocabId, selected = null) {
+        const vocabSet = this.vocabSets.get(vocabId);
+        if (!vocabSet) return;
+        this.currentBrowser = new WordBrowser(this, vocabSet);
+        this.currentBrowser.selected = selected;
+        this.currentBrowser.render();
+    }
+
+    // Cards of a set that are tagged leech or suspended, most lapses first
+    static leechCards(vocabSet) {
+        const cards = [];
+        for (const word of vocabSet.words) {
+            for (const direction of Word.DIRECTIONS) {
+                const stats = direction === 'reverse' ? word.reverseStats : word.stats;
+                if (stats && (stats.leech || stats.suspended)) cards.push({ word, direction, stats });
+            }
+        }
+        return cards.sort((a, b) => b.stats.lapses - a.stats.lapses);
+    }
+
+    /** Leeches of one dictionary, where each card can be suspended, unsuspended or edited. */
+    showLeeches(vocabId) {
+        const vocabSet = this.vocabSets.get(vocabId);
+        if (!vocabSet) return;
+        this.setRoute('leeches', { id: vocabId });
+        const cards = VocabMaster.leechCards(vocabSet);
+        const mainContent = document.getElementById('main-content');
+        const setSuspended = async (el, suspended) => {
+            const card = cards[parseInt(el.dataset.index, 10)];
+            card.stats.setFlags({ suspended });
+            await this.saveSetProgress(vocabId);
+            this.showToast(`"${card.word.target}" ${suspended ? 'suspended' : 'unsuspended'}`);
+            this.showLeeches(vocabId);
+        };
+        View.render(mainContent, html`
+            <div class="card leech-list">
+                <h2>Leeches in ${vocabSet.name}</h2>
+                <p class="muted">Cards forgotten ${this.settings.leechThreshold || '—'} or more times are tagged <span class="tag">${TagFilter.LEECH_TAG}</span>${this.settings.leechAction === 'suspend' ? ' and suspended' : ''}. Suspended cards are left out of every session. Rewording a leech or adding an example often helps more than reviewing it again.</p>
+                ${cards.length ? html`
+                    <table class="word-table">
+                        <thead><tr><th>Word</th><th>Meaning</th><th>Lapses</th><th>Status</th><th></th></tr></thead>
+                        <tbody>${cards.map((c, i) => html`<tr>
+                            <td>${c.word.target}${c.direction === 'reverse' ? ' ←' : ''}</td>
+                            <td>${c.word.native}</td>
+                            <td>${c.stats.lapses}</td>
+                            <td>${c.stats.suspended ? 'Suspended' : 'Active'}</td>
+                            <td>${c.stats.suspended
+                                ? html`<button data-on-click="unsuspend" data-index="${i}">Unsuspend</button>`
+                                : html`<button data-on-click="suspend" data-index="${i}">Suspend</button>`}
+                                <button data-on-click="edit" data-index="${i}">Edit</button></td>
+                        </tr>`)}</tbody>
+                    </table>` : html`<p>No leeches in this dictionary.</p>`}
+            </div>
+            <button data-on-click="home">Back to Main</button>
+        `, {
+            suspend: el => setSuspended(el, true),
+            unsuspend: el => setSuspended(el, false),
+            edit: el => {
+                this.showEditor(vocabId);
+                this.currentEditor.editingIndex = vocabSet.words.indexOf(cards[parseInt(el.dataset.index, 10)].word);
+                this.currentEditor.render();
+            }
+        });
+    }
+
+    /**
+     * Called after a lapse: tag the card as a leech when it reaches the threshold and, with the
+     * 'suspend' action, suspend it. Returns true when the card was flagged.
+     */
+    handleLeech(word, direction) {
+        const stats = word.statsFor(direction);
+        if (!stats.isLeechLapse(this.settings.leechThreshold)) return false;
+        stats.setFlags(this.settings.leechAction === 'suspend' ? { leech: true, suspended: true } : { leech: true });
+        this.showToast(`"${word.target}" is a leech${stats.suspended ? ' and has been suspended' : ''}`, 5000);
+        return true;
+    }
+
+    async setLeechSettings(threshold, action) {
+        const value = parseInt(threshold, 10);
+        if (isFinite(value) && value >= 0) this.settings.leechThreshold = value;
+        if (LEECH_ACTIONS.some(a => a.id === action)) this.settings.leechAction = action;
+        await this.saveSettings();
+    }
+
+    // Store a set's word schedules under its id and manifest path (as sessions do) and queue a sync push
+    async saveSetProgress(vocabId) {
+        await this.saveVocabProgressForKey(vocabId);
+        const path = this.vocabPathForId.get(vocabId);
+        if (path) {
+            if (!this.vocabProgress.has(path) && this.vocabProgress.has(vocabId)) this.vocabProgress.set(path, this.vocabProgress.get(vocabId));
+            await this.saveVocabProgressForKey(path);
+        }
+        this.sync.schedulePush();
+    }
+
+    showEditor(vocabId) {
+        const vocabSet = this.vocabSets.get(vocabId);
+        if (!vocabSet) return;
+        this.currentEditor = new DeckEditor(this, vocabSet);
+        this.currentEditor.render();
+    }
+
+    /** Persist a dictionary changed in the deck editor; resolves false when saving failed. */
+    async saveEditedSet(vocabSet) {
+        try {
+            const data = new VocabExporter().toData(vocabSet);
+            if (this.importedSetIds.has(vocabSet.id)) {
+                await this.saveImportedSet(data);
+            } else {
+                await this.storage.saveDeck(`${this.userId}:edited:${vocabSet.id}`, data);
+                this.editedSetIds.add(vocabSet.id);
+            }
+            // rewrite the progress records so deleted words drop out of them
+            for (const key of [vocabSet.id, this.vocabPathForId.get(vocabSet.id)].filter(Boolean)) {
+                // eslint-disable-next-line no-await-in-loop
+                await this.saveVocabProgressForKey(key);
+            }
+            return true;
+        } catch (e) {
+            console.warn('saveEditedSet failed', e);
+            return false;
+        }
+    }
+
+    /** Start an empty local dictionary and open it in the editor. */
+    async createSet(name = 'New dictionary', language = 'unknown') {
+        const slug = VocabImporter.slugify(name);
+        let id = `local-${slug}`;
+        for (let n = 2; this.vocabSets.has(id); n++) id = `local-${slug}-${n}`;
+        const data = { id, name, language, metadata: { source: 'editor', created: Date.now(), version: '1.0' }, words: [] };
+        await this.saveImportedSet(data);
+        await this.registerImportedSet(data);
+        this.currentlyLoadedPath = id;
+        this.showEditor(id);
+    }
+
+    async deleteSet(vocabId) {
+        const vocabSet = this.vocabSets.get(vocabId);
+        if (!vocabSet || !this.importedSetIds.has(vocabId)) return;
+        if (typeof confirm === 'function' && !confirm(`Delete "${vocabSet.name}" and its ${vocabSet.words.length} words?`)) return;
+        await this.storage.removeDeck(`${this.userId}:${vocabId}`);
+        this.importedSetIds.delete(vocabId);
+        await this.storage.saveDeck(`${this.userId}:index`, Array.from(this.importedSetIds));
+        this.vocabSets.delete(vocabId);
+        this.vocabProgress.delete(vocabId);
+        if (this.currentlyLoadedPath === vocabId) this.currentlyLoadedPath = this.vocabSets.keys().next().value || null;
+        this.showToast('Dictionary deleted');
+        this.renderUI();
+    }
+
+    /** Drop the local copy of a manifest dictionary and reload the bundled file. */
+    async revertEditedSet(vocabId) {
+        const path = this.vocabPathForId.get(vocabId);
+        if (!path || !this.editedSetIds.has(vocabId)) return;
+        if (typeof confirm === 'function' && !confirm('Discard your edits to this dictionary?')) return;
+        await this.storage.removeDeck(`${this.userId}:edited:${vocabId}`);
+        this.editedSetIds.delete(vocabId);
+        await this.loadVocabFile(path);
+        this.showToast('Original dictionary restored');
+        this.showEditor(vocabId);
+    }
+
+    /** Show the import form: pick or paste a file, choose its format, then preview before importing. */
+    showImport() {
+        this.importState = { text: '', filename: '', format: 'auto', mapping: null, hasHeader: undefined, name: '', language: '', result: null };
+        const mainContent = document.getElementById('main-content');
+        View.render(mainContent, html`
+            <div class="card import-view">
+                <h2>Import Vocabulary</h2>
+                <p class="muted">JSON (as written by Export), CSV/TSV, or an Anki "Notes in Plain Text" export (.txt). Anki .apkg packages must be exported as plain text first.</p>
+                <p><input type="file" id="import-file" accept=".json,.csv,.tsv,.txt,text/plain,application/json"></p>
+                <p><textarea id="import-text" rows="6" placeholder="...or paste the file contents here"></textarea></p>
+                <p>
+                    <label>Format <select id="import-format">
+                        <option value="auto">Detect</option><option value="json">JSON</option><option value="csv">CSV</option><option value="tsv">TSV</option><option value="anki">Anki text</option>
+                    </select></label>
+                    <label>Name <input type="text" id="import-name" placeholder="from file"></label>
+                    <label>Language <input type="text" id="import-language" size="6" placeholder="e.g. th"></label>
+                </p>
+                <button data-on-click="preview">Preview</button>
+                <button data-on-click="home">Cancel</button>
+                <div id="import-preview"></div>
+            </div>
+        `, { preview: () => this.previewImport() });
+    }
+
+    async previewImport() {
+        const state = this.importState;
+        const fileInput = document.getElementById('import-file');
+        const file = fileInput && fileInput.files && fileInput.files[0];
+        try {
+            if (file) { state.text = await file.text(); state.filename = file.name; }
+            else { state.text = document.getElementById('import-text').value; state.filename = ''; }
+        } catch (e) {
+            this.showToast('Could not read the file');
+            return;
+        }
+        state.format = document.getElementById('import-format').value;
+        state.name = document.getElementById('import-name').value.trim();
+        state.language = document.getElementById('import-language').value.trim();
+        state.mapping = null;
+        state.hasHeader = undefined;
+        this.runImportParse();
+    }
+
+    runImportParse() {
+        const state = this.importState;
+        state.result = new VocabImporter().parse(state.text, { filename: state.filename, format: state.format, mapping: state.mapping, hasHeader: state.hasHeader, name: state.name, language: state.language });
+        if (state.result.set && this.vocabSets.has(state.result.set.id) && !this.importedSetIds.has(state.result.set.id)) {
+            state.result.warnings.unshift(`A built-in dictionary already uses id "${state.result.set.id}"; the import will get a new id.`);
+            state.result.set.id = `${state.result.set.id}-imported`;
+        } else if (state.result.set && this.importedSetIds.has(state.result.set.id)) {
+            state.result.warnings.unshift(`This replaces your imported dictionary "${state.result.set.id}"; progress for matching word ids is kept.`);
+        }
+        this.renderImportPreview();
+    }
+
+    renderImportPreview() {
+        const container = document.getElementById('import-preview');
+        if (!container) return;
+        const { result } = this.importState;
+        if (result.format === 'backup' && result.backup) {
+            const b = result.backup;
+            const reviewed = b.sets.reduce((acc, set) => acc + set.words.filter(w => w.stats && w.stats.lastReviewed).length, 0);
+            View.render(container, html`
+                <h3>Full backup</h3>
+                ${result.errors.concat(result.warnings).length ? html`<ul class="import-messages">${result.errors.concat(result.warnings).map(m => html`<li>${m}</li>`)}</ul>` : ''}
+                <p>Exported ${b.exportedAt ? new Date(b.exportedAt).toLocaleString() : 'at an unknown time'}: ${b.sets.length} dictionaries, ${reviewed} reviewed words.</p>
+                <p class="muted">Restoring replaces progress for these dictionaries in this browser.</p>
+                <button data-on-click="restore" ${result.errors.length ? html`disabled` : ''}>Restore backup</button>
+            `, { restore: () => this.restoreBackup(b) });
+            return;
+        }
+        const mappingHtml = result.mapping ? html`
+            <h3>Columns</h3>
+            <p><label><input type="checkbox" data-on-change="toggleHeader" ${result.hasHeader ? html`checked` : ''} ${result.format === 'anki' ? html`disabled` : ''}> First row is a header</label></p>
+            <div class="import-mapping">${VocabImporter.FIELDS.map(field => html`
+                <label>${field} <select data-on-change="mapColumn" data-field="${field}">
+                    <option value="-1">(none)</option>
+                    ${result.columns.map((c, i) => html`<option value="${i}" ${result.mapping[field] === i ? html`selected` : ''}>${c}</option>`)}
+                </select></label>`)}
+            </div>
+            <p class="muted">Separate multiple examples with "|" and tags with ${result.format === 'anki' ? 'spaces (Anki format)' : 'commas'}.</p>` : '';
+        const words = result.set ? result.set.words : [];
+        const previewRows = words.slice(0, 20).map(w => html`<tr><td>${w.target}</td><td>${w.transliteration}</td><td>${w.native}</td><td>${w.examples.join(' | ')}</td><td>${w.tags.join(', ')}</td></tr>`);
+        const messages = [...result.errors.map(m => html`<li class="import-error">${m}</li>`), ...result.warnings.slice(0, 20).map(m => html`<li>${m}</li>`)];
+        if (result.warnings.length > 20) messages.push(html`<li>…and ${result.warnings.length - 20} more</li>`);
+        View.render(container, html`
+            <h3>Preview (${result.format})</h3>
+            ${mappingHtml}
+            ${messages.length ? html`<ul class="import-messages">${messages}</ul>` : ''}
+            ${result.set ? html`<p><strong>${result.set.name}</strong> (${result.set.language}) — ${words.length} words${words.length > 20 ? ', first 20 shown' : ''}</p>` : ''}
+            ${previewRows.length ? html`<table class="import-table"><thead><tr><th>Target</th><th>Transliteration</th><th>Native</th><th>Examples</th><th>Tags</th></tr></thead><tbody>${previewRows}</tbody></table>` : ''}
+            <button data-on-click="commit" ${result.errors.length ? html`disabled` : ''}>Import ${words.length} words</button>
+        `, {
+            mapColumn: el => {
+                const mapping = Object.assign({}, this.importState.result.mapping);
+                mapping[el.dataset.field] = parseInt(el.value, 10);
+                this.importState.mapping = mapping;
+                this.runImportParse();
+            },
+            toggleHeader: el => {
+                this.importState.hasHeader = el.checked;
+                this.importState.mapping = null;
+                this.runImportParse();
+            },
+            commit: () => this.commitImport()
+        });
+    }
+
+    async commitImport() {
+        const result = this.importState && this.importState.result;
+        if (!result || !result.set || result.errors.length) return;
+        try {
+            await this.saveImportedSet(result.set);
+        } catch (e) {
+            this.showToast('Import failed: local storage is full');
+            return;
+        }
+        const vocabSet = await this.registerImportedSet(result.set);
+        this.currentlyLoadedPath = vocabSet.id;
+        this.importState = null;
+        this.showToast(`Imported ${vocabSet.words.length} words into "${vocabSet.name}"`);
+        this.renderUI();
+    }
+
+    /** Show export choices for one dictionary plus the full backup. */
+    showExport(vocabId) {
+        const vocabSet = this.vocabSets.get(vocabId);
+        if (!vocabSet) return;
+        const mainContent = document.getElementById('main-content');
+        View.render(mainContent, html`
+            <div class="card">
+                <h2>Export ${vocabSet.name}</h2>
+                <p>${VocabExporter.FORMATS.map(f => html`<button data-on-click="export" data-format="${f.id}">${f.label}</button> `)}</p>
+                <p class="muted">JSON and CSV can be imported back here. The Anki file imports as Basic notes (File → Import in Anki).</p>
+            </div>
+            <div class="card">
+                <h2>Full Backup</h2>
+                <p>All dictionaries with your learning history, progress totals and settings, to move to another browser via Import.</p>
+                <button data-on-click="backup">Download backup</button>
+            </div>
+            <button data-on-click="home">Back to Main</button>
+        `, {
+            export: el => this.exportVocab(vocabId, el.dataset.format),
+            backup: () => this.exportBackup()
+        });
+    }
+
+    downloadFile(filename, content, mime) {
+        const blob = new Blob([content], { type: mime });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /** Everything needed to rebuild this user's state in another browser. */
+    async buildBackup() {
+        // make sure every manifest dictionary is in memory so its word stats are included
+        await this.loadAllVocabFiles();
+        const exporter = new VocabExporter();
+        const sets = Array.from(this.vocabSets.values()).map(vs => ({
+            id: vs.id,
+            name: vs.name,
+            language: vs.language,
+            metadata: vs.metadata,
+            source: this.importedSetIds.has(vs.id) ? 'imported' : this.editedSetIds.has(vs.id) ? 'edited' : 'manifest',
+            path: this.vocabPathForId.get(vs.id) || null,
+            learnedIds: Array.from(this.vocabProgress.get(vs.id) || []),
+            words: vs.words.map(w => Object.assign(
+                exporter.wordContent(w),
+                w.stats.lastReviewed !== null ? { stats: w.stats.toJSON() } : {},
+                w.reverseStats && w.reverseStats.lastReviewed !== null ? { reverseStats: w.reverseStats.toJSON() } : {}
+            ))
+        }));
+        return {
+            format: VocabExporter.BACKUP_FORMAT,
+            schemaVersion: this.storage.schemaVersion,
+            exportedAt: Date.now(),
+            userId: this.userId,
+            settings: this.settings,
+            userProgress: this.userProgress.stats,
+            history: await this.history.load(0),
+            sets
+        };
+    }
+
+    async exportBackup() {
+        try {
+            const backup = await this.buildBackup();
+            const day = new Date().toISOString().slice(0, 10);
+            this.downloadFile(`vocabmaster-backup-${day}.json`, JSON.stringify(backup, null, 2), 'application/json');
+        } catch (e) {
+            console.warn('exportBackup failed', e);
+            this.showToast('Backup failed');
+        }
+    }
+
+    /** Apply a backup produced by buildBackup() to this browser (under the current user id). */
+    async restoreBackup(backup) {
+        try {
+            for (const set of backup.sets) {
+                const content = Object.assign({}, set, { words: set.words.map(({ stats, reverseStats, ...word }) => word) });
+                delete content.source; delete content.path; delete content.learnedIds;
+                if (set.source === 'imported') {
+                    // eslint-disable-next-line no-await-in-loop
+                    await this.saveImportedSet(content);
+                    // eslint-disable-next-line no-await-in-loop
+                    await this.registerImportedSet(content);
+                } else if (set.source === 'edited') {
+                    // eslint-disable-next-line no-await-in-loop
+                    await this.storage.saveDeck(`${this.userId}:edited:${set.id}`, content);
+                    this.editedSetIds.add(set.id);
+                    if (set.path && this.vocabSets.has(set.id)) {
+                        const current = this.currentlyLoadedPath;
+                        // eslint-disable-next-line no-await-in-loop
+                        await this.loadVocabFile(set.path);
+                        this.currentlyLoadedPath = current;
+                    }
+                }
+                const wordStats = {};
+                set.words.forEach(w => {
+                    if (w.stats) wordStats[w.id || w.target] = w.stats;
+                    if (w.reverseStats) wordStats[Word.statsKey(w.id || w.target, 'reverse')] = w.reverseStats;
+                });
+                const record = { schemaVersion: this.storage.schemaVersion, learnedIds: set.learnedIds || [], wordStats };
+                const keys = [set.id];
+                if (set.path) keys.push(set.path);
+                for (const key of keys) {
+                    this.vocabProgress.set(key, new Set(record.learnedIds));
+                    // eslint-disable-next-line no-await-in-loop
+                    await this.storage.saveProgress(`${this.userId}:vocab:${key}`, record);
+                }
+                if (set.path) this.vocabProgress.set(set.path, this.vocabProgress.get(set.id));
+                const loaded = this.vocabSets.get(set.id);
+                if (loaded) {
+                    loaded.words.forEach(w => { w.stats = new LearningStats(); w.reverseStats = null; });
+                    this.applyWordStats(loaded, wordStats);
+                }
+            }
+            if (Array.isArray(backup.history)) await this.history.importEvents(backup.history);
+            if (backup.userProgress) {
+                this.userProgress = new UserProgress();
+                Object.assign(this.userProgress.stats, backup.userProgress);
+                await this.storage.saveProgress(this.userId, this.userProgress.getStats());
+            }
+            if (backup.settings) {
+                this.settings = Object.assign(this.settings, backup.settings);
+                this.learningEngine.setAlgorithm(this.settings.algorithm);
+                this.learningEngine.setSteps(this.settings.learningSteps, this.settings.relearningSteps);
+                await this.saveSettings();
+            }
+            this.importState = null;
+            this.showToast(`Restored ${backup.sets.length} dictionaries from backup`);
+            this.renderUI();
+        } catch (e) {
+            console.warn('restoreBackup failed', e);
+            this.showToast('Restore failed');
+        }
+    }
+
     loadDefaultVocabulary() {
         const sampleWords = [new Word('hello', 'hola', ['¡Hola! ¿Cómo estás?', 'Hello! How are you?'], ['greeting']), new Word('thank you', 'gracias', ['Gracias por tu ayuda.'], ['politeness']), new Word('water', 'agua', ['¿Puedo tener agua?'], ['food'])];
         const spanishBasics = new VocabularySet('spanish-basics', 'Spanish Basics', 'es', sampleWords);
@@ -568,6 +3807,9 @@ class VocabMaster {
 
     renderUI() {
         const mainContent = document.getElementById('main-content');
+        const current = this.currentlyLoadedPath && this.vocabSets.get(this.currentlyLoadedPath);
+        if (current) this.setRoute('deck', { id: current.id });
+        else this.setRoute('home');
         // Update header area (site title/tagline and user controls) instead of injecting header HTML
         try {
             const header = document.getElementById('site-header');
@@ -585,7 +3827,9 @@ class VocabMaster {
                     userControls.className = 'muted';
                     header.appendChild(userControls);
                 }
-                userControls.innerHTML = `User ID: <code id="user-id">${this.userId}</code> <button onclick="app.copyUserIdToClipboard()">Copy</button>`;
+                View.render(userControls, html`User ID: <code id="user-id">${this.userId}</code> <button data-on-click="copyUserId">Copy</button>`, {
+                    copyUserId: () => this.copyUserIdToClipboard()
+                });
             }
         } catch (e) { /* ignore header update errors */ }
         // Clean, modernized UI: show distributor link, current vocab, and quick switcher for other dicts
@@ -635,19 +3879,34 @@ class VocabMaster {
             // Render count badge (fallbacks to '-' when unknown)
             const totalText = total !== null ? total : '-';
             const learningText = learning !== null ? learning : '-';
-            return `<li><span class="dict-meta">${totalText} words (${learningText} learning)</span> <button class="link-btn" data-path="${p}" ${isActive ? 'disabled' : ''}>Load ${name}</button></li>`;
-        }).join('') : '';
+            return html`<li><span class="dict-meta">${totalText} words (${learningText} learning)</span> <button class="link-btn" data-on-click="loadPath" data-path="${p}" ${isActive ? html`disabled` : ''}>Load ${name}</button></li>`;
+        }) : '';
+        const importedListHtml = Array.from(this.importedSetIds).filter(id => this.vocabSets.has(id)).map(id => {
+            const vs = this.vocabSets.get(id);
+            const prog = this.vocabProgress.get(id);
+            const learningText = prog instanceof Set ? prog.size : vs.words.filter(w => w.stats && w.stats.attempts > 0).length;
+            return html`<li><span class="dict-meta">${vs.words.length} words (${learningText} learning)</span> <button class="link-btn set-btn" data-on-click="selectSet" data-id="${id}" ${id === this.currentlyLoadedPath ? html`disabled` : ''}>Load ${vs.name}</button> <span class="tag">${vs.metadata.source === 'editor' ? 'local' : 'imported'}</span></li>`;
+        });
 
-        mainContent.innerHTML = `
+        const currentId = this.currentlyLoadedPath && this.vocabSets.has(this.currentlyLoadedPath) ? this.vocabSets.get(this.currentlyLoadedPath).id : null;
+        const leechCount = currentId ? VocabMaster.leechCards(this.vocabSets.get(currentId)).length : 0;
+        View.render(mainContent, html`
+            ${this.renderResumeCard()}
             <div class="card">
                 <h2>Current Dictionary</h2>
-                ${this.currentlyLoadedPath && this.vocabSets.size ? `<p><strong>${this.vocabSets.get(this.currentlyLoadedPath).name}</strong> — ${this.vocabSets.get(this.currentlyLoadedPath).words.length} words</p>` : `<p>No dictionary loaded.</p>`}
-                <div style="margin-top:10px;">${this.currentlyLoadedPath ? `<button onclick="app.startSession('${this.vocabSets.get(this.currentlyLoadedPath).id}')">Start Learning</button> <button onclick="app.exportVocab('${this.vocabSets.get(this.currentlyLoadedPath).id}')">Export</button>` : ''}</div>
+                ${currentId ? html`<p><strong>${this.vocabSets.get(this.currentlyLoadedPath).name}</strong> — ${this.vocabSets.get(this.currentlyLoadedPath).words.length} words</p>` : html`<p>No dictionary loaded.</p>`}
+                <div style="margin-top:10px;">${currentId ? html`<button data-on-click="startSession">Start Learning</button> <button data-on-click="reviewAllDue">Review all due</button> <button data-on-click="customStudy">Custom study</button> <select id="session-mode" data-on-change="sessionMode" aria-label="Session mode">${SESSION_MODES.map(m => html`<option value="${m.id}" ${m.id === this.settings.sessionMode ? html`selected` : ''}>${m.label}</option>`)}</select> <select id="card-direction" data-on-change="cardDirection" aria-label="Card direction">${CARD_DIRECTIONS.map(d => html`<option value="${d.id}" ${d.id === this.settings.cardDirection ? html`selected` : ''}>${d.label}</option>`)}</select> <button data-on-click="export">Export</button> <button data-on-click="words">Words</button> <button data-on-click="leeches">Leeches${leechCount ? ` (${leechCount})` : ''}</button> <button data-on-click="edit">Edit</button>` : ''} <button data-on-click="import">Import</button> <button data-on-click="createSet">New dictionary</button></div>
+                ${currentSet ? html`<p class="deck-limits">Daily limits:
+                    <label>new <input type="number" id="limit-new" data-on-change="deckLimits" min="0" value="${this.deckLimits(currentSet.id).newPerDay}"></label>
+                    <label>reviews <input type="number" id="limit-reviews" data-on-change="deckLimits" min="0" value="${this.deckLimits(currentSet.id).reviewsPerDay}"></label>
+                    <select id="new-card-order" data-on-change="newCardOrder" aria-label="New card order">${NEW_CARD_ORDERS.map(o => html`<option value="${o.id}" ${o.id === this.settings.newCardOrder ? html`selected` : ''}>${o.label}</option>`)}</select>
+                </p>` : ''}
             </div>
             <div class="card">
                 <h2>Other Dictionaries</h2>
                 <ul class="dict-switcher">
                     ${vocabListHtml}
+                    ${importedListHtml}
                 </ul>
             </div>
             <div class="card">
@@ -671,8 +3930,69 @@ class VocabMaster {
                     } catch (e) { return this.userProgress.stats.wordsLearned; }
                 })()}</p>
                 <p>Accuracy: ${this.userProgress.getStats().accuracy.toFixed(2)}%</p>
+                <p><button data-on-click="stats">Statistics</button></p>
+                ${this.speech.isSupported() ? html`<p><label for="speech-rate">Speech rate</label>
+                    <input type="range" id="speech-rate" data-on-change="speechRate" min="0.5" max="1.5" step="0.1" value="${this.settings.speechRate}"> <span id="speech-rate-value">${this.settings.speechRate.toFixed(1)}×</span>
+                    <button class="speak-btn" data-on-click="testSpeech" aria-label="Test pronunciation">🔊</button></p>` : ''}
+                <p><label for="algorithm-select">Scheduler:</label>
+                    <select id="algorithm-select" data-on-change="algorithm">${Scheduler.list().map(({ name, label }) => html`<option value="${name}" ${name === this.learningEngine.algorithm ? html`selected` : ''}>${label}</option>`)}</select>
+                </p>
+                <p class="learning-steps">
+                    <label>Learning steps <input type="text" id="learning-steps" data-on-change="steps" data-kind="learning" size="10" value="${LearningEngine.formatSteps(this.learningEngine.steps.learning)}"></label>
+                    <label>Relearning steps <input type="text" id="relearning-steps" data-on-change="steps" data-kind="relearning" size="10" value="${LearningEngine.formatSteps(this.learningEngine.steps.relearning)}"></label>
+                </p>
+                <p class="leech-settings">
+                    <label>Leech after <input type="number" id="leech-threshold" data-on-change="leechSettings" min="0" value="${this.settings.leechThreshold}"> lapses</label>
+                    <select id="leech-action" data-on-change="leechSettings" aria-label="Leech action">${LEECH_ACTIONS.map(a => html`<option value="${a.id}" ${a.id === this.settings.leechAction ? html`selected` : ''}>${a.label}</option>`)}</select>
+                </p>
             </div>
-        `;
+            ${this.renderSyncCard()}
+        `, {
+            resumeSession: () => this.resumeSession(),
+            discardSession: async () => { await this.clearSessionCheckpoint(); this.renderUI(); },
+            startSession: () => this.startSession(currentId),
+            reviewAllDue: () => this.reviewAllDue(),
+            customStudy: () => this.showCustomStudy(currentId),
+            sessionMode: el => this.setSessionMode(el.value),
+            cardDirection: el => this.setCardDirection(el.value),
+            export: () => this.showExport(currentId),
+            words: () => this.showWordList(currentId),
+            leeches: () => this.showLeeches(currentId),
+            leechSettings: () => this.setLeechSettings(mainContent.querySelector('#leech-threshold').value, mainContent.querySelector('#leech-action').value),
+            edit: () => this.showEditor(currentId),
+            import: () => this.showImport(),
+            createSet: () => this.createSet(),
+            deckLimits: () => this.setDeckLimits(currentSet.id, {
+                newPerDay: mainContent.querySelector('#limit-new').value,
+                reviewsPerDay: mainContent.querySelector('#limit-reviews').value
+            }),
+            newCardOrder: el => this.setNewCardOrder(el.value),
+            stats: () => this.showStats(),
+            speechRate: async el => {
+                await this.setSpeechRate(el.value);
+                mainContent.querySelector('#speech-rate-value').textContent = `${this.settings.speechRate.toFixed(1)}×`;
+            },
+            testSpeech: () => {
+                const sample = currentSet && currentSet.words[0];
+                if (sample) this.playWord(sample, currentSet);
+            },
+            algorithm: el => this.setAlgorithm(el.value),
+            steps: async el => {
+                const kind = el.dataset.kind;
+                if (await this.setSteps(kind, el.value)) el.value = LearningEngine.formatSteps(this.learningEngine.steps[kind]);
+            },
+            saveSyncUrl: () => this.setSyncUrl(mainContent.querySelector('#sync-url').value),
+            syncNow: () => this.syncNow(),
+            linkUserId: () => this.adoptUserId(mainContent.querySelector('#sync-user-id').value),
+            selectSet: el => {
+                this.currentlyLoadedPath = el.dataset.id;
+                this.renderUI();
+            },
+            loadPath: async el => {
+                await this.loadVocabFile(el.dataset.path);
+                this.renderUI();
+            }
+        });
 
         // Ensure a simple footer is present with version and changelog link
         try {
@@ -687,23 +4007,290 @@ class VocabMaster {
             }
             const ver = this.version || 'unknown';
             const changelog = this.versionUrl || '/CHANGELOG.md';
-            footer.innerHTML = `Version ${ver} — <a href="${changelog}" target="_blank" rel="noopener noreferrer">Changelog</a>`;
+            View.render(footer, html`Version ${ver} — <a href="${View.safeUrl(changelog)}" target="_blank" rel="noopener noreferrer">Changelog</a>`);
         } catch (e) { /* ignore footer errors */ }
+    }
+
+    endSession() {
+        this.currentSession = null;
+        this.clearSessionCheckpoint();
+        this.renderUI();
+    }
+
+    // The checkpoint of a session interrupted by closing the tab, if it is recent enough to resume
+    async loadSessionCheckpoint() {
+        let checkpoint = null;
+        try { checkpoint = await this.storage.loadProgress(`${this.userId}:session`); } catch (e) { console.warn('Could not load the session checkpoint', e); }
+        const usable = checkpoint && Array.isArray(checkpoint.vocabIds) && checkpoint.vocabIds.length
+            && Date.now() - (checkpoint.savedAt || 0) < LearningSession.CHECKPOINT_MAX_AGE_MS;
+        this.pendingCheckpoint = usable ? checkpoint : null;
+        return this.pendingCheckpoint;
+    }
+
+    async clearSessionCheckpoint() {
+        this.pendingCheckpoint = null;
+        await this.storage.saveProgress(`${this.userId}:session`, null);
+    }
 
-        // Attach listeners for load buttons
-        const buttons = mainContent.querySelectorAll('.link-btn');
-        buttons.forEach(b => b.addEventListener('click', async (ev) => {
-            const path = ev.currentTarget.getAttribute('data-path');
-            await this.loadVocabFile(path);
+    /** Continue the interrupted session: same decks, options, card on screen and answers so far. */
+    async resumeSession() {
+        const checkpoint = this.pendingCheckpoint;
+        this.pendingCheckpoint = null;
+        if (!checkpoint) return;
+        const ids = [];
+        for (const id of checkpoint.vocabIds) {
+            // eslint-disable-next-line no-await-in-loop
+            const vocabSet = await this.resolveDeck(id);
+            if (vocabSet) ids.push(vocabSet.id);
+        }
+        if (!ids.length) {
+            this.showToast('The dictionaries of that session are no longer available');
+            await this.clearSessionCheckpoint();
             this.renderUI();
-        }));
+            return;
+        }
+        await this.startSession(ids, Object.assign({}, checkpoint.options, { resume: checkpoint }));
+    }
+
+    renderResumeCard() {
+        const checkpoint = this.pendingCheckpoint;
+        if (!checkpoint || this.currentSession) return '';
+        const names = checkpoint.vocabIds.map(id => (this.vocabSets.get(id) || { name: id }).name);
+        const answered = (checkpoint.answers || []).length;
+        const minutes = Math.max(1, Math.round((checkpoint.elapsedMs || 0) / MINUTE_MS));
+        return html`
+            <div class="card resume-card" role="region" aria-label="Unfinished session">
+                <h2>Unfinished session</h2>
+                <p>${names.join(', ')}${checkpoint.options && checkpoint.options.cram ? ' (cram)' : ''} — ${answered} card${answered === 1 ? '' : 's'} answered in ${minutes} min, last saved ${new Date(checkpoint.savedAt).toLocaleString()}.</p>
+                <button data-on-click="resumeSession">Resume session</button> <button data-on-click="discardSession">Discard</button>
+            </div>
+        `;
+    }
+
+    // One polite live region outside #main-content, so rerenders don't recreate it
+    announce(text) {
+        let region = document.getElementById('live-region');
+        if (!region) {
+            region = document.createElement('div');
+            region.id = 'live-region';
+            region.className = 'sr-only';
+            region.setAttribute('role', 'status');
+            region.setAttribute('aria-live', 'polite');
+            document.body.appendChild(region);
+        }
+        region.textContent = text;
+    }
+
+    /**
+     * Record the screen being shown in the URL. A new history entry is added so Back returns
+     * to the previous screen; the first screen after load (or `replace`) overwrites the entry.
+     * Does nothing when the hash already matches, so route() can call the same views.
+     */
+    setRoute(name, params, replace = false) {
+        if (typeof window === 'undefined' || !window.history) return;
+        const hash = Router.href(name, params);
+        if (window.location.hash === hash) return;
+        try {
+            if (replace || !window.location.hash || window.location.hash === '#/') window.history.replaceState(null, '', hash);
+            else window.history.pushState(null, '', hash);
+        } catch (e) {
+            console.warn('setRoute failed', e);
+        }
+    }
+
+    /** Render the screen for the current location.hash (on load, Back/Forward and pasted links). */
+    async route() {
+        const { name, params } = Router.parse(window.location.hash);
+        // leaving a session: every answer is already saved
+        this.currentSession = null;
+        if (name === 'home') { this.renderUI(); return; }
+        if (name === 'stats') { await this.showStats(); return; }
+        const vocabSet = await this.resolveDeck(params.id);
+        if (!vocabSet) {
+            this.showToast(`Dictionary "${params.id}" is not available`);
+            // replace the dead link so Back does not land on it again
+            this.setRoute('home', {}, true);
+            this.renderUI();
+            return;
+        }
+        this.currentlyLoadedPath = vocabSet.id;
+        if (name === 'study' && this.pendingCheckpoint) {
+            // a reload mid-session: offer to resume rather than silently starting over
+            this.setRoute('deck', { id: vocabSet.id }, true);
+            this.renderUI();
+        } else if (name === 'study') await this.startSession(vocabSet.id);
+        else if (name === 'words') this.showWordList(vocabSet.id);
+        else if (name === 'leeches') this.showLeeches(vocabSet.id);
+        else if (name === 'word') {
+            const word = vocabSet.words.find(w => this.getWordKey(w) === params.wordId) || null;
+            if (!word) this.showToast('That word is not in this dictionary');
+            this.showWordList(vocabSet.id, word);
+        } else this.renderUI();
+    }
+
+    // A deck by id, loading its manifest file first when a link points at one not loaded yet
+    async resolveDeck(vocabId) {
+        let vocabSet = this.getVocabSetForKey(vocabId);
+        if (vocabSet || !this.vocabManifest || !Array.isArray(this.vocabManifest.sets)) return vocabSet;
+        // bundled files are named <language>/<name>.json for the id <language>-<name>
+        const path = this.vocabManifest.sets.find(p => p.replace(/\.json$/, '').split('/').slice(-2).join('-') === vocabId);
+        if (path) vocabSet = await this.loadVocabFile(path);
+        if (!vocabSet || vocabSet.id !== vocabId) {
+            await this.loadAllVocabFiles();
+            vocabSet = this.vocabSets.get(vocabId) || null;
+        }
+        return vocabSet;
+    }
+
+    // Actions shared by every view: any template can use data-on-click="home" or googleTranslateAnchor()
+    attachViewHandlers() {
+        View.bind(document.body, {
+            home: () => this.renderUI(),
+            openTranslate: (el, ev) => {
+                ev.preventDefault();
+                this.openInGoogleTranslate(el.dataset.text, el.dataset.src, el.dataset.tl);
+            }
+        });
+    }
+
+    attachKeyboardShortcuts() {
+        document.addEventListener('keydown', (ev) => {
+            // only while the session (or its completion screen) is on screen
+            if (!this.currentSession || !document.getElementById('session-view')) return;
+            if (this.currentSession.handleKey(ev)) ev.preventDefault();
+        });
+    }
+
+    /** Start a session on one dictionary id, or on an array of ids for a combined session. */
+    startSession(vocabId, options = {}) {
+        const sets = [].concat(vocabId).map(id => this.vocabSets.get(id)).filter(Boolean);
+        if (!sets.length) return;
+        // combined and filtered sessions have no link of their own
+        if (sets.length === 1 && !options.tags && !options.cram && !options.cards) this.setRoute('study', { id: sets[0].id });
+        // a new session's checkpoint replaces the unfinished one
+        this.pendingCheckpoint = null;
+        const mode = options.mode || this.settings.sessionMode;
+        const direction = options.direction || this.settings.cardDirection;
+        this.currentSession = new LearningSession(this, sets.length === 1 ? sets[0] : sets, Object.assign({}, options, { mode, direction }));
+        return this.currentSession.start(options.resume);
+    }
+
+    // Manifest dictionaries are loaded one at a time as the user switches; load the rest without changing the current one
+    async loadAllVocabFiles() {
+        if (!this.vocabManifest || !Array.isArray(this.vocabManifest.sets)) return;
+        const current = this.currentlyLoadedPath;
+        const loadedPaths = new Set(this.vocabPathForId.values());
+        for (const path of this.vocabManifest.sets) {
+            // eslint-disable-next-line no-await-in-loop
+            if (!loadedPaths.has(path)) await this.loadVocabFile(path);
+        }
+        this.currentlyLoadedPath = current;
+    }
+
+    /** Custom study: pick tags to include or exclude and optionally cram (ignore due dates). */
+    async showCustomStudy(vocabId, allSets = false) {
+        if (allSets) await this.loadAllVocabFiles();
+        const prev = this.customStudy || {};
+        this.customStudy = { vocabId, allSets, include: prev.include || new Set(), exclude: prev.exclude || new Set(), cram: !!prev.cram };
+        this.renderCustomStudy();
+    }
+
+    renderCustomStudy() {
+        const state = this.customStudy;
+        const sets = state.allSets ? Array.from(this.vocabSets.values()) : [this.vocabSets.get(state.vocabId)].filter(Boolean);
+        if (!sets.length) return;
+        const filter = { include: Array.from(state.include), exclude: Array.from(state.exclude) };
+        const matching = sets.reduce((acc, vs) => acc.concat(vs.words.filter(w => TagFilter.matches(w, filter))), []);
+        const directions = (CARD_DIRECTIONS.find(d => d.id === this.settings.cardDirection) || CARD_DIRECTIONS[0]).directions;
+        const now = Date.now();
+        // suspended cards are skipped by sessions, cram included
+        const due = matching.reduce((n, w) => n + directions.filter(d => w.statsFor(d).dueDate <= now && !w.statsFor(d).suspended).length, 0);
+        const unsuspended = matching.filter(w => directions.some(d => !w.statsFor(d).suspended)).length;
+        const mainContent = document.getElementById('main-content');
+        View.render(mainContent, html`
+            <div class="card custom-study">
+                <h2>Custom Study</h2>
+                <p><label><input type="checkbox" data-on-change="allSets" ${state.allSets ? html`checked` : ''}> All dictionaries</label>
+                    ${state.allSets ? '' : html`<span class="muted">${sets[0].name}</span>`}</p>
+                <p class="muted">Click a tag to include it, again to exclude it, and once more to clear it.</p>
+                <div class="tag-chips">${TagFilter.countTags(sets).map(([tag, count]) => {
+                    const stateClass = state.include.has(tag) ? 'tag-include' : state.exclude.has(tag) ? 'tag-exclude' : '';
+                    return html`<button class="tag-chip ${stateClass}" data-on-click="toggleTag" data-tag="${tag}">${state.exclude.has(tag) ? '−' : state.include.has(tag) ? '+' : ''}${tag} <small>${count}</small></button> `;
+                })}</div>
+                <p><strong>${matching.length}</strong> words match, ${due} cards due.</p>
+                <p><label><input type="checkbox" data-on-change="cram" ${state.cram ? html`checked` : ''}> Cram: study all matching words now, without changing their schedule</label></p>
+                <p><button data-on-click="start" ${(state.cram ? unsuspended : due) ? '' : html`disabled`}>Start</button></p>
+            </div>
+            <button data-on-click="home">Back to Main</button>
+        `, {
+            toggleTag: el => {
+                const tag = el.dataset.tag;
+                if (state.include.has(tag)) { state.include.delete(tag); state.exclude.add(tag); }
+                else if (state.exclude.has(tag)) state.exclude.delete(tag);
+                else state.include.add(tag);
+                this.renderCustomStudy();
+            },
+            allSets: el => this.showCustomStudy(state.vocabId, el.checked),
+            cram: el => { state.cram = el.checked; this.renderCustomStudy(); },
+            start: () => this.startSession(sets.map(vs => vs.id), { tags: filter, cram: state.cram })
+        });
+    }
+
+    /** Review everything due across every dictionary in one session; answers go to each word's own set. */
+    async reviewAllDue(options = {}) {
+        await this.loadAllVocabFiles();
+        await this.startSession(Array.from(this.vocabSets.keys()), options);
     }
 
-    startSession(vocabId) { const vocabSet = this.vocabSets.get(vocabId); if (!vocabSet) return; this.currentSession = new LearningSession(this, vocabSet); this.currentSession.start(); }
+    async setSessionMode(mode) {
+        this.settings.sessionMode = mode;
+        await this.saveSettings();
+    }
+
+    /** Daily new-card and review limits for one dictionary. */
+    deckLimits(vocabId) {
+        return Object.assign({}, DEFAULT_DECK_LIMITS, (this.settings.deckLimits || {})[vocabId]);
+    }
+
+    async setDeckLimits(vocabId, limits) {
+        const clean = {};
+        for (const key of Object.keys(DEFAULT_DECK_LIMITS)) {
+            const value = parseInt(limits[key], 10);
+            if (isFinite(value) && value >= 0) clean[key] = value;
+        }
+        this.settings.deckLimits = Object.assign({}, this.settings.deckLimits, { [vocabId]: Object.assign(this.deckLimits(vocabId), clean) });
+        await this.saveSettings();
+    }
+
+    /** Set learning or relearning steps from text like "1m 10m"; an empty value skips the steps. */
+    async setSteps(kind, text) {
+        const steps = LearningEngine.parseSteps(text);
+        if (!steps) { this.showToast('Write steps like "1m 10m" (m, h or d)'); return false; }
+        this.settings[kind === 'relearning' ? 'relearningSteps' : 'learningSteps'] = steps;
+        this.learningEngine.setSteps(this.settings.learningSteps, this.settings.relearningSteps);
+        await this.saveSettings();
+        return true;
+    }
 
-    exportVocab(vocabId) { const vocabSet = this.vocabSets.get(vocabId); if (!vocabSet) return; const exportData = { id: vocabSet.id, name: vocabSet.name, language: vocabSet.language, metadata: vocabSet.metadata, words: vocabSet.words.map(word => ({ target: word.target, native: word.native, transliteration: word.transliteration || '', image: word.image || '', examples: word.examples, tags: word.tags })) }; const dataStr = JSON.stringify(exportData, null, 2); const blob = new Blob([dataStr], { type: 'application/json' }); const url = URL.createObjectURL(blob); const a = document.createElement('a'); a.href = url; a.download = `${vocabSet.id}.json`; a.click(); URL.revokeObjectURL(url); }
+    async setNewCardOrder(order) {
+        this.settings.newCardOrder = NEW_CARD_ORDERS.some(o => o.id === order) ? order : 'mix';
+        await this.saveSettings();
+    }
+
+    async setCardDirection(direction) {
+        this.settings.cardDirection = direction;
+        await this.saveSettings();
+    }
+
+    exportVocab(vocabId, format = 'json') {
+        const vocabSet = this.vocabSets.get(vocabId);
+        if (!vocabSet) return;
+        const target = VocabExporter.FORMATS.find(f => f.id === format) || VocabExporter.FORMATS[0];
+        const exporter = new VocabExporter();
+        const content = target.id === 'csv' ? exporter.toCsv(vocabSet) : target.id === 'anki' ? exporter.toAnkiTsv(vocabSet) : exporter.toJson(vocabSet);
+        this.downloadFile(`${vocabSet.id}${target.id === 'anki' ? '-anki' : ''}.${target.ext}`, content, target.mime);
+    }
 
-    // Import/contribute UI removed for a cleaner interface per project guidelines.
 
     async saveProgress() {
         await this.storage.saveProgress(this.userId, this.userProgress.getStats());
@@ -729,7 +4316,8 @@ class VocabMaster {
         // Save progress when the page is unloaded or hidden to persist across sessions/devices
         try {
             window.addEventListener('beforeunload', () => {
-                // synchronous navigator storage unavailable for complex operations; keep it simple
+                // synchronous navigator storage unavailable for complex operations; keep it simple.
+                // With IndexedDB active this snapshot is moved into the database by storage.migrate() on next start.
                 try { localStorage.setItem(`${this.storage.prefix}progress_${this.userId}`, JSON.stringify(this.userProgress.getStats())); } catch (e) { console.warn('Auto-save beforeunload failed', e); }
             });
 
@@ -737,6 +4325,9 @@ class VocabMaster {
                 if (document.visibilityState === 'hidden') {
                     // save asynchronously
                     this.storage.saveProgress(this.userId, this.userProgress.getStats()).catch(() => { });
+                    if (this.currentSession) this.currentSession.checkpoint();
+                    // push pending answers before the tab may be discarded
+                    if (this.sync.enabled) this.sync.sync();
                 }
             });
         } catch (e) {
@@ -744,6 +4335,63 @@ class VocabMaster {
         }
     }
 
+    /**
+     * Register the offline service worker (sw.js). The loaded VERSION is part of the script URL,
+     * so publishing a new VERSION installs a fresh worker and cache.
+     */
+    async registerServiceWorker() {
+        try {
+            if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+            const hadController = !!navigator.serviceWorker.controller;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                // first install takes control silently; later ones mean a new version was cached
+                if (hadController) this.showToast('A new version is available — reload to update', 6000);
+            });
+            await navigator.serviceWorker.register(`./sw.js?v=${encodeURIComponent(this.version || 'unknown')}`, { scope: './' });
+        } catch (e) {
+            console.warn('Service worker registration failed', e);
+        }
+    }
+
+    // Offer an "Install app" button in the header when the browser supports it (Chromium's beforeinstallprompt)
+    attachInstallPrompt() {
+        try {
+            window.addEventListener('beforeinstallprompt', (ev) => {
+                ev.preventDefault();
+                this.installPrompt = ev;
+                this.renderInstallButton();
+            });
+            window.addEventListener('appinstalled', () => {
+                this.installPrompt = null;
+                this.renderInstallButton();
+                this.showToast('VocabMaster installed');
+            });
+        } catch (e) {
+            console.warn('attachInstallPrompt failed', e);
+        }
+    }
+
+    renderInstallButton() {
+        const header = document.getElementById('site-header');
+        if (!header) return;
+        let btn = document.getElementById('install-app-btn');
+        if (!this.installPrompt) { if (btn) btn.remove(); return; }
+        if (!btn) {
+            btn = document.createElement('button');
+            btn.id = 'install-app-btn';
+            btn.textContent = 'Install app';
+            btn.addEventListener('click', async () => {
+                const prompt = this.installPrompt;
+                if (!prompt) return;
+                this.installPrompt = null;
+                prompt.prompt();
+                try { await prompt.userChoice; } catch (e) { /* ignore */ }
+                this.renderInstallButton();
+            });
+            header.appendChild(btn);
+        }
+    }
+
     /**
      * Show a modal confirmation dialog to reset all progress.
      * The dialog is appended to document.body and removed after action.
@@ -756,4 +4404,3 @@ class VocabMaster {
 
 const app = new VocabMaster();
 app.initialize();
-window.app = app;
@@ -0,0 +1,146 @@
+/* Progress document merge shared by the browser sync client (js/app.js) and the
+   reference sync server (../server/sync-server.js).
+
+   A progress document looks like:
+   {
+     userId, updatedAt,
+     vocabs: { <vocab key>: { learnedIds: [...], wordStats: { <word id>: LearningStats JSON }, updatedAt } },
+     userProgress: { byDevice: { <device id>: { wordsLearned, sessionsCompleted, totalAttempts, correctAttempts } } }
+   }
+
+   Merge rules:
+   - word stats: last change wins (the later of `lastReviewed` and `modifiedAt`, which
+     suspending or unsuspending sets; then `attempts` as tie-breaker)
+   - learnedIds: follow the merged word stats, so a word is learned while one of its cards has
+     a correct answer and an undone answer stays undone; ids without any stats (older records)
+     are kept as a union
+   - progress counters: one counter set per device (a grow-only vector); merging takes
+     the per-field maximum of each device's entry, and the displayed totals are the sum
+*/
+
+const ProgressMerge = {
+    COUNTER_FIELDS: ['wordsLearned', 'sessionsCompleted', 'totalAttempts', 'correctAttempts'],
+    // LearningStats fields that hold a number (or null where the client allows it)
+    STATS_NUMBER_FIELDS: ['attempts', 'correct', 'lastReviewed', 'easeFactor', 'interval', 'repetitions', 'stability', 'difficulty', 'dueDate', 'step', 'lapses', 'modifiedAt'],
+    STATS_BOOLEAN_FIELDS: ['leech', 'suspended'],
+    // keys that would reach Object.prototype when copied into a plain object
+    UNSAFE_KEYS: ['__proto__', 'constructor', 'prototype'],
+    REVERSE_SUFFIX: '~reverse', // wordStats key of a reverse card: `<word id>~reverse` (Word.statsKey)
+
+    isObject(value) {
+        return !!value && typeof value === 'object' && !Array.isArray(value);
+    },
+
+    isCount(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    },
+
+    // Why a document cannot be merged (a message), or null when its shape is usable
+    validateDoc(doc) {
+        if (!ProgressMerge.isObject(doc)) return 'Expected a progress document';
+        if (doc.vocabs !== undefined && !ProgressMerge.isObject(doc.vocabs)) return '`vocabs` must be an object';
+        for (const [key, vocab] of Object.entries(doc.vocabs || {})) {
+            if (ProgressMerge.UNSAFE_KEYS.includes(key)) return `vocabs.${key} is not an allowed key`;
+            if (!ProgressMerge.isObject(vocab)) return `vocabs.${key} must be an object`;
+            if (vocab.learnedIds !== undefined && !Array.isArray(vocab.learnedIds)) return `vocabs.${key}.learnedIds must be an array`;
+            if (vocab.wordStats !== undefined && !ProgressMerge.isObject(vocab.wordStats)) return `vocabs.${key}.wordStats must be an object`;
+            for (const [id, stats] of Object.entries(vocab.wordStats || {})) {
+                const path = `vocabs.${key}.wordStats.${id}`;
+                if (ProgressMerge.UNSAFE_KEYS.includes(id)) return `${path} is not an allowed key`;
+                if (!ProgressMerge.isObject(stats)) return `${path} must be an object`;
+                for (const f of ProgressMerge.STATS_NUMBER_FIELDS) {
+                    const v = stats[f];
+                    if (v !== undefined && v !== null && !(typeof v === 'number' && isFinite(v))) return `${path}.${f} must be a number`;
+                }
+                for (const f of ProgressMerge.STATS_BOOLEAN_FIELDS) {
+                    if (stats[f] !== undefined && typeof stats[f] !== 'boolean') return `${path}.${f} must be a boolean`;
+                }
+            }
+        }
+        if (doc.userProgress !== undefined && !ProgressMerge.isObject(doc.userProgress)) return '`userProgress` must be an object';
+        const byDevice = (doc.userProgress || {}).byDevice;
+        if (byDevice !== undefined && !ProgressMerge.isObject(byDevice)) return '`userProgress.byDevice` must be an object';
+        for (const [device, counters] of Object.entries(byDevice || {})) {
+            const path = `userProgress.byDevice.${device}`;
+            if (ProgressMerge.UNSAFE_KEYS.includes(device)) return `${path} is not an allowed key`;
+            if (!ProgressMerge.isObject(counters)) return `${path} must be an object`;
+            for (const f of ProgressMerge.COUNTER_FIELDS) {
+                if (counters[f] !== undefined && !ProgressMerge.isCount(counters[f])) return `${path}.${f} must be a non-negative number`;
+            }
+        }
+        return null;
+    },
+
+    // The copy changed last: reviewed (`lastReviewed`) or flagged as leech/suspended
+    // (`modifiedAt`), with `attempts` as tie-breaker
+    newerStats(a, b) {
+        if (!a) return b;
+        if (!b) return a;
+        const ta = Math.max(a.lastReviewed || 0, a.modifiedAt || 0);
+        const tb = Math.max(b.lastReviewed || 0, b.modifiedAt || 0);
+        if (ta !== tb) return ta > tb ? a : b;
+        return (b.attempts || 0) > (a.attempts || 0) ? b : a;
+    },
+
+    // Malformed parts (see validateDoc) are skipped rather than merged
+    mergeVocab(a, b) {
+        a = ProgressMerge.isObject(a) ? a : {};
+        b = ProgressMerge.isObject(b) ? b : {};
+        const statsOf = v => (ProgressMerge.isObject(v.wordStats) ? v.wordStats : {});
+        const idsOf = v => (Array.isArray(v.learnedIds) ? v.learnedIds : []);
+        const wordStats = {};
+        for (const [id, stats] of [...Object.entries(statsOf(a)), ...Object.entries(statsOf(b))]) {
+            if (ProgressMerge.isObject(stats)) wordStats[id] = ProgressMerge.newerStats(wordStats[id], stats);
+        }
+        const tracked = new Set();
+        const correct = new Set();
+        for (const [key, stats] of Object.entries(wordStats)) {
+            const id = key.endsWith(ProgressMerge.REVERSE_SUFFIX) ? key.slice(0, -ProgressMerge.REVERSE_SUFFIX.length) : key;
+            tracked.add(id);
+            if (stats.correct > 0) correct.add(id);
+        }
+        const learnedIds = Array.from(new Set([...idsOf(a), ...idsOf(b)].filter(id => !tracked.has(id)).concat(Array.from(correct))));
+        return { learnedIds, wordStats, updatedAt: Math.max(a.updatedAt || 0, b.updatedAt || 0) };
+    },
+
+    mergeCounters(a = {}, b = {}) {
+        const out = {};
+        for (const device of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            const ca = a[device] || {};
+            const cb = b[device] || {};
+            const count = v => (ProgressMerge.isCount(v) ? v : 0);
+            out[device] = {};
+            for (const f of ProgressMerge.COUNTER_FIELDS) out[device][f] = Math.max(count(ca[f]), count(cb[f]));
+        }
+        return out;
+    },
+
+    sumCounters(byDevice = {}, skipDevice = null) {
+        const total = {};
+        for (const f of ProgressMerge.COUNTER_FIELDS) total[f] = 0;
+        for (const [device, counters] of Object.entries(byDevice)) {
+            if (device === skipDevice) continue;
+            for (const f of ProgressMerge.COUNTER_FIELDS) total[f] += counters[f] || 0;
+        }
+        return total;
+    },
+
+    mergeDocs(a, b) {
+        a = a || {};
+        b = b || {};
+        const vocabs = {};
+        for (const key of new Set([...Object.keys(a.vocabs || {}), ...Object.keys(b.vocabs || {})])) {
+            vocabs[key] = ProgressMerge.mergeVocab((a.vocabs || {})[key], (b.vocabs || {})[key]);
+        }
+        return {
+            userId: a.userId || b.userId || null,
+            updatedAt: Math.max(a.updatedAt || 0, b.updatedAt || 0),
+            vocabs,
+            userProgress: {
+                byDevice: ProgressMerge.mergeCounters((a.userProgress || {}).byDevice, (b.userProgress || {}).byDevice)
+            }
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) module.exports = ProgressMerge;
@@ -0,0 +1,81 @@
+/* VocabMaster service worker: offline support for the app shell and every deck in vocab/manifest.json.
+
+   The page registers this file as `sw.js?v=<VERSION>`, so a new VERSION installs a new worker
+   with its own cache (`vocabmaster-<VERSION>`); older caches are deleted on activation.
+   Requests are answered from the cache first and refreshed in the background
+   (stale-while-revalidate), so a deck updated without a VERSION bump still arrives on the next visit.
+*/
+
+const VERSION = new URL(self.location.href).searchParams.get('v') || 'unknown';
+const CACHE_PREFIX = 'vocabmaster-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const APP_SHELL = [
+    './vocabmaster.html',
+    './manifest.webmanifest',
+    './css/style.css',
+    './js/sync-merge.js',
+    './js/app.js',
+    './icons/icon.svg',
+    './vocab/manifest.json',
+    './vocab/summaries.json'
+];
+// Always fetched live: the version check must see the server's current value
+const NETWORK_ONLY = [/\/VERSION$/];
+
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(APP_SHELL.map(url => new Request(url, { cache: 'reload' })));
+    // decks are listed in the manifest; a missing deck should not fail the whole install
+    try {
+        const res = await cache.match('./vocab/manifest.json');
+        const manifest = res ? await res.json() : null;
+        const sets = manifest && Array.isArray(manifest.sets) ? manifest.sets : [];
+        await Promise.all(sets.map(path => cache.add(new Request(path, { cache: 'reload' })).catch(e => console.warn('Could not precache', path, e))));
+    } catch (e) {
+        console.warn('Could not read vocab manifest for precaching', e);
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_NAME).map(k => caches.delete(k)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+    // only same-origin files; sync servers and Google Translate go straight to the network
+    if (url.origin !== self.location.origin) return;
+    if (NETWORK_ONLY.some(re => re.test(url.pathname))) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        const refresh = fetch(request).then((res) => {
+            if (res && res.ok) cache.put(request, res.clone());
+            return res;
+        });
+        if (cached) {
+            event.waitUntil(refresh.catch(() => {}));
+            return cached;
+        }
+        try {
+            return await refresh;
+        } catch (e) {
+            // offline and not cached: fall back to the app page for navigations
+            if (request.mode === 'navigate') {
+                const shell = await cache.match('./vocabmaster.html');
+                if (shell) return shell;
+            }
+            throw e;
+        }
+    })());
+});